@@ -0,0 +1,20 @@
+// Parse generated pages of growing size and print the time per line; a flat ms/line column means linear scaling.
+// Usage: node bench/parse.js [lines...]
+const DokuParserJS = require('../dokuparserjs.js');
+
+const line = (i) => {
+  if (i % 50 === 0) return `===== Section ${i} =====`;
+  if (i % 10 === 5) return `| [[table${i}|cell ${i}]] | %%raw ${i}%% | **bold** |`;
+  return `Line ${i} with [[page${i}|link ${i}]] and https://example.com/${i} plus %%raw ${i}%% and **bold** text`;
+};
+const page = (count) => Array.from({ length: count }, (_, i) => line(i)).join('\n');
+const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+
+new DokuParserJS().parse(page(200));
+(sizes.length ? sizes : [1000, 2000, 4000, 8000, 16000]).forEach(count => {
+  const text = page(count);
+  const start = process.hrtime.bigint();
+  const html = new DokuParserJS().parse(text);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${String(count).padStart(6)} lines ${ms.toFixed(1).padStart(9)} ms ${(ms / count).toFixed(4)} ms/line ${html.length} bytes`);
+});
@@ -1,42 +1,98 @@
 /**
  * DokuParserJS: A lightweight JavaScript class for parsing DokuWiki markup into HTML.
  *
- * This parser processes DokuWiki syntax line-by-line, handling block-level elements (headers, lists, tables, quotes, code)
- * via a state machine in `parse()`, and inline elements (links, images, bold, etc.) via regex rules in `applyRules()`.
+ * This parser processes DokuWiki syntax line-by-line into a node tree, handling block-level elements (headers, lists,
+ * tables, quotes, code) in `parseToAST()` and inline elements (links, images, bold, etc.) via sticky regex modes in
+ * `parseInline()`; `parse()` renders that tree through `DokuParserJS.HtmlRenderer`.
  * It supports namespace-aware linking and graceful edges (e.g., malformed tables).
  *
  * @example
  * const parser = new DokuParserJS({ currentNamespace: 'wiki', interwikiMap: { wp: 'https://en.wikipedia.org/wiki/' } });
  * const html = parser.parse('**bold** [[link]]');
  *
- * Limitations: Basic rowspan; no full RSS parsing; no <file> downloads. No lib deps—native JS only.
- * Collaboration: Extend `rules` array for new inline; add states in `parse()` for blocks.
+ * For programmatic use, `parseToAST()` returns a typed node tree (document, section, paragraph, list, table, code,
+ * link, media, footnote, ...) whose nodes carry `position: { start, end }` with 1-based line/column and offset.
+ * `render(docOrAst, renderer)` renders that tree through a `DokuParserJS.Renderer` subclass; `HtmlRenderer` (default)
+ * emits the markup `parse()` returns, `TextRenderer` emits plain text.
+ *
+ * @example
+ * const ast = parser.parseToAST('====== Title ======\n  * item');
+ * const text = parser.render(ast, new DokuParserJS.TextRenderer(parser));
+ *
+ * `sections(text)` lists each headline with its source line range (`start`, `end`) and raw `text`;
+ * `replaceSection(text, index, sectionText)` splices an edited section back into the page.
+ * `lint(text)` reports malformed markup as `[{ line, column, severity, message, code }]` (unclosed blocks are errors;
+ * ragged tables, odd list indentation, unterminated formatting, unknown interwiki prefixes and links to missing pages
+ * are warnings); with the `lint` option `parse()` also leaves the same list on `parser.diagnostics`.
+ * `DokuParserJS.parseChangelog(text)` reads DokuWiki `.changes` files; `DokuParserJS.diff(oldText, newText)` and
+ * `DokuParserJS.diffHtml(oldText, newText)` compare two revisions line by line and word by word.
+ * `DokuParserJS.readConfig(confDir)` (Node) and `DokuParserJS.loadConfig(loader)` read DokuWiki's `interwiki`, `smileys`,
+ * `entities` and `acronyms` `.conf` files with their `.local.conf` overrides into constructor options.
+ * `toMarkdown(text)` converts a page to CommonMark/GFM through `DokuParserJS.MarkdownRenderer` and `fromMarkdown(markdown)`
+ * converts back (`DokuParserJS.markdownToDoku`); both return a `report` of constructs that did not map losslessly.
+ *
+ * Limitations: Basic rowspan; no full RSS parsing. No lib deps—native JS only.
+ * Collaboration: Register inline or block syntax with `DokuParserJS.registerPlugin()` (see `plugins/` for examples).
  *
  * @param {Object} [options] - Parser options.
  * @param {string} [options.currentNamespace=''] - Current namespace for relative link resolution.
- * @param {Object} [options.interwikiMap={}] - Map of interwiki prefixes to URLs.
+ * @param {Object} [options.interwikiMap] - Map of interwiki prefixes to URLs (default `wp` and `doku`). URLs may use
+ *   DokuWiki's `{URL}`, `{NAME}`, `{SCHEME}`, `{HOST}`, `{PORT}`, `{PATH}` and `{QUERY}` placeholders; without one the
+ *   encoded page name is appended.
+ * @param {Object} [options.smileys] - Smiley text to image file (relative to `smileyBasePath`), replacing the built-in set.
+ *   These always render as images, like DokuWiki does, even with `useEmoji`.
+ * @param {Object} [options.entities] - Typography replacements, replacing the built-in set. Pure symbol sequences
+ *   (`->`) need whitespace on both sides, others (`(c)`) match anywhere.
+ * @param {Object} [options.acronyms={}] - Acronym to expansion, rendered as `<abbr title>`.
  * @param {boolean} [options.htmlok=true] - Enable HTML embedding.
+ * @param {boolean} [options.safeMode=false] - Pass the output through an allow-list sanitizer (tags, attributes, URL
+ *   schemes) so embedded `<html>` and raw markup from untrusted authors cannot inject scripts.
+ * @param {string[]} [options.allowedSchemes=['http','https','ftp','mailto','news','irc','file']] - URL schemes links and media may use.
+ * @param {Function} [options.codeBlockHref] - Returns the download URL for a `<code>`/`<file>` block that names a file,
+ *   called with `{ index, kind, lang, filename, content }`. Without it the link points to `#` and carries
+ *   `data-codeblock` so the host page can attach a Blob URL from `parser.codeBlocks`.
+ * @param {boolean} [options.highlight=true] - Highlight `<code lang>`/`<file lang>` blocks with the built-in grammars
+ *   (js, php, python, bash, json, html, css, sql, java, c); `DokuParserJS.registerGrammar(name, rules, aliases)` adds more.
+ *   Blocks accept DokuWiki's `[enable_line_numbers, start_line_numbers_at, highlight_lines_extra]` options.
+ * @param {Function} [options.feedProvider] - Supplies `{{rss>url ...}}` feeds synchronously: `(url, params) => feed|null`,
+ *   where `feed` is `{ title, items: [{ title, link, author, date, description }] }` (see `DokuParserJS.parseFeed`).
+ *   Without it, or when it returns nothing, the macro renders an error line linking to the feed.
+ * @param {Map|Object|Function} [options.includePages] - Raw text of pages that `{{page>id#section&flags}}` and
+ *   `{{section>id#section&flags}}` may embed, keyed by resolved page id, or a synchronous `(id) => text|null` lookup.
+ *   Use `DokuParserJS.loadIncludes(text, loader)` to gather them with an async loader first.
+ * @param {string} [options.pageId] - Id of the page being parsed; guards against a page including itself.
+ * @param {number} [options.maxIncludeDepth=5] - Deepest nesting of included pages.
  * @param {boolean} [options.typography=true] - Enable typography conversions.
  * @param {boolean} [options.useTxtExtension=true] - Append .txt to internal links.
+ * @param {string} [options.pageExtension] - Extension appended to internal links; overrides `useTxtExtension` (e.g. '.html').
  * @param {string} [options.pagesBasePath='/'] - Base path for pages.
  * @param {string} [options.mediaBasePath='/data/media/'] - Base path for media.
+ * @param {Function|Map|Array} [options.mediaFiles] - Known media files: `{ id, size }` entries (such as the manifest's
+ *   `media` list), a Map of them by id, or an `(id) => entry|null` lookup. Supplies alternative `<video>`/`<audio>`
+ *   sources, video posters and file sizes, and marks links to missing files; without it only the named file is used.
+ * @param {string[]} [options.allowedFrames=[]] - URL prefixes of `<iframe>`s that `safeMode` keeps (media plugins).
  * @param {string} [options.smileyBasePath='/dokuwiki/lib/exe/fetch.php?media=lib:images:smileys:'] - Base path for smileys.
- * @param {boolean} [options.useEmoji=true] - Use Unicode emojis instead of SVG images for smileys (default true).
+ * @param {boolean} [options.useEmoji=true] - Use Unicode emojis instead of SVG images for the built-in smileys (default true).
+ * @param {boolean} [options.toc=false] - Emit a table of contents when a page has more than three headlines.
+ * @param {number} [options.maxTocLevel=3] - Deepest headline level listed in the table of contents.
+ * @param {boolean} [options.lint=false] - Run `lint()` on every `parse()` and keep the result on `parser.diagnostics`.
+ * @param {Function|Set|Array} [options.pageExists] - Page-existence check: `(id) => boolean`, or a Set/Array of known page ids.
+ *   Links to pages it rejects get the `wikilink2` class; without it every internal link is assumed to exist.
+ *   Namespace links (`[[ns:]]`) resolve to the first existing of `ns:start`, `ns:ns` and `ns`, falling back to `ns:start`.
  * @returns {DokuParserJS} - Initialized parser instance.
  */
-function tableParser({ lines = [], inCode = false, nestedParse = (text) => text }) {
-  if (!Array.isArray(lines) || lines.length === 0) return '';
-  if (inCode) {
-    return `<pre class="code">${lines.map(l => l.toString()).join('\n')}</pre>`;
-  }
+function tableRows(lines) {
   const tableLines = [];
   for (let line of lines) {
     const trimmed = line.toString().replace(/^\s+/, '');
     if (!trimmed || !/^[|^]/.test(trimmed)) break;
     tableLines.push(line.toString());
   }
-  if (tableLines.length < 1) return '';
+  if (tableLines.length < 1) return [];
+  // Cell separators inside links, media, code and noformat spans belong to the span
+  const spans = [['[[', ']]'], ['{{', '}}'], ['<code>', '</code>'], ['<nowiki>', '</nowiki>'], ['%%', '%%']];
   function splitRow(line) {
+    const lineIndent = line.length - line.trimStart().length;
     line = line.trim();
     if (!line) return [];
     const rowDelim = line[0];
@@ -47,21 +103,9 @@ function tableParser({ lines = [], inCode = false, nestedParse = (text) => text
     while (pos < line.length) {
       let start = pos;
       while (pos < line.length && line[pos] !== '^' && line[pos] !== '|') {
-        if (line.substring(pos, pos + 2) === '[[') {
-          let linkEnd = line.indexOf(']]', pos + 2);
-          if (linkEnd !== -1) {
-            pos = linkEnd + 2;
-            continue;
-          }
-        }
-        if (line.substring(pos, pos + 6) === '<code>') {
-          let codeEnd = line.indexOf('</code>', pos + 6);
-          if (codeEnd !== -1) {
-            pos = codeEnd + 7;
-            continue;
-          }
-        }
-        pos++;
+        const span = spans.find(([open]) => line.startsWith(open, pos));
+        const spanEnd = span ? line.indexOf(span[1], pos + span[0].length) : -1;
+        pos = spanEnd !== -1 ? spanEnd + span[1].length : pos + 1;
       }
       let rawContent = line.substring(start, pos);
       let content = rawContent.trim();
@@ -81,7 +125,7 @@ function tableParser({ lines = [], inCode = false, nestedParse = (text) => text
         content = '';
       }
       const type = currentDelim === '^' ? 'th' : 'td';
-      cells.push({ content, type, align, colspan: 1, rowspan: 1 });
+      cells.push({ content, type, align, colspan: 1, rowspan: 1, offset: lineIndent + start + leading });
       if (pos < line.length) {
         const nextDelim = line[pos];
         if (nextDelim === '^' || nextDelim === '|') {
@@ -152,65 +196,309 @@ function tableParser({ lines = [], inCode = false, nestedParse = (text) => text
       }
     }
   }
-  // Build HTML
-  let html = '<div class="table"><table class="inline"><thead>';
-  let tbodyStarted = false;
-  rows.forEach((row, r) => {
-    let currentCol = 0;
-    let tr = `<tr class="row${r}">`;
-    let added = false;
-    for (let c = 0; c < maxCols; c++) {
-      let cell = row[c];
-      if (!cell || cell.skip) {
-        currentCol += cell?.isColspanSkip ? 0 : (cell?.skipWidth || 1);
-        continue;
-      }
-      let colClass = `col${currentCol} ${cell.align || ''}`.trim();
-      let tag = cell.type;
-      let attrs = ` class="${colClass}"`;
-      if (cell.colspan > 1) attrs += ` colspan="${cell.colspan}"`;
-      if (cell.rowspan > 1) attrs += ` rowspan="${cell.rowspan}"`;
-      tr += `<${tag}${attrs}>${nestedParse(cell.content)}</${tag}>`;
-      currentCol += cell.colspan;
-      added = true;
-    }
-    tr += '</tr>';
-    if (added) {
-      if (!tbodyStarted) {
-        html += tr + '</thead><tbody>';
-        tbodyStarted = true;
-      } else {
-        html += tr;
+  return rows;
+}
+/**
+ * Built-in syntax highlighter for `<code lang>` / `<file lang>` blocks.
+ *
+ * A grammar is an ordered list of `{ className, pattern }` rules; at each position the first rule that matches wins,
+ * anything else is emitted as plain text. A rule may name the `state` it applies in and the state a match switches
+ * to (`next`, `null` being the initial state), so context such as "inside a CSS declaration" is tracked while
+ * scanning forward instead of with lookbehinds that rescan the text before every position. Class names follow GeSHi (kw1-kw4 keywords, co1/co2/coMULTI comments,
+ * st0 strings, nu0 numbers, re0/re1 variables and selectors, br0 brackets, sy0 symbols, sc1 entities) so DokuWiki
+ * stylesheets apply unchanged. Extra languages can be added with `DokuParserJS.registerGrammar()`.
+ */
+const GRAMMARS = {};
+const GRAMMAR_ALIASES = {};
+function registerGrammar(name, rules, aliases = []) {
+  GRAMMARS[name] = rules.map(({ className, pattern, state, next }) => ({ className, pattern: new RegExp(pattern.source, `${pattern.flags.replace(/[gy]/g, '')}y`), state, next }));
+  aliases.forEach(alias => { GRAMMAR_ALIASES[alias] = name; });
+}
+const keywords = (words, flags = '') => new RegExp(`\\b(?:${words.trim().split(/\s+/).join('|')})\\b`, flags);
+const commonRules = {
+  blockComment: { className: 'coMULTI', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+  lineComment: { className: 'co1', pattern: /\/\/.*/ },
+  hashComment: { className: 'co1', pattern: /#.*/ },
+  doubleQuoted: { className: 'st0', pattern: /"(?:\\[\s\S]|[^"\\\n])*"?/ },
+  singleQuoted: { className: 'st0', pattern: /'(?:\\[\s\S]|[^'\\\n])*'?/ },
+  number: { className: 'nu0', pattern: /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)[lfu]*\b/i },
+  brackets: { className: 'br0', pattern: /[()[\]{}]/ },
+  symbols: { className: 'sy0', pattern: /[-+*/%=<>!&|^~?:;,.]+/ }
+};
+registerGrammar('javascript', [
+  commonRules.blockComment,
+  commonRules.lineComment,
+  commonRules.doubleQuoted,
+  commonRules.singleQuoted,
+  { className: 'st0', pattern: /`(?:\\[\s\S]|[^`\\])*`?/ },
+  { className: 'kw1', pattern: keywords('async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield') },
+  { className: 'kw2', pattern: keywords('true false null undefined NaN Infinity') },
+  { className: 'kw3', pattern: keywords('Array Boolean Date Error Function JSON Map Math Number Object Promise RegExp Set String Symbol console document window module require') },
+  commonRules.number,
+  commonRules.brackets,
+  commonRules.symbols
+], ['js', 'mjs', 'ecmascript', 'node']);
+registerGrammar('php', [
+  commonRules.blockComment,
+  commonRules.lineComment,
+  { className: 'co1', pattern: /#(?!\[).*/ },
+  commonRules.doubleQuoted,
+  commonRules.singleQuoted,
+  { className: 'kw2', pattern: /<\?(?:php\b|=)?|\?>/ },
+  { className: 're0', pattern: /\$[A-Za-z_]\w*/ },
+  { className: 'kw1', pattern: keywords('abstract and array as break callable case catch class clone const continue declare default do echo else elseif empty enddeclare endfor endforeach endif endswitch endwhile extends final finally fn for foreach function global goto if implements include include_once instanceof insteadof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while xor yield', 'i') },
+  { className: 'kw2', pattern: keywords('true false null self parent __CLASS__ __DIR__ __FILE__ __FUNCTION__ __LINE__ __METHOD__ __NAMESPACE__', 'i') },
+  commonRules.number,
+  commonRules.brackets,
+  commonRules.symbols
+], ['php5', 'php7', 'php8']);
+registerGrammar('python', [
+  { className: 'st0', pattern: /\b[rbuf]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/i },
+  commonRules.hashComment,
+  { className: 'st0', pattern: /\b[rbuf]{1,2}(?="|')/i },
+  commonRules.doubleQuoted,
+  commonRules.singleQuoted,
+  { className: 'kw4', pattern: /@[\w.]+/ },
+  { className: 'kw1', pattern: keywords('and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield') },
+  { className: 'kw2', pattern: keywords('True False None self cls') },
+  { className: 'kw3', pattern: keywords('abs all any bool dict enumerate filter float format getattr hasattr int isinstance iter len list map max min next object open print range repr reversed round set setattr sorted str sum super tuple type zip') },
+  commonRules.number,
+  commonRules.brackets,
+  commonRules.symbols
+], ['py', 'python3']);
+registerGrammar('bash', [
+  { className: 'co1', pattern: /(?<![\w$])#.*/ },
+  commonRules.doubleQuoted,
+  { className: 'st0', pattern: /'[^']*'?/ },
+  { className: 're0', pattern: /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[\d@#?$!*-])/ },
+  { className: 'kw1', pattern: keywords('if then else elif fi case esac for select while until do done in function time return exit break continue') },
+  { className: 'kw2', pattern: keywords('alias cd declare echo eval exec export local printf pwd read set shift source test trap unset wait true false') },
+  { className: 'kw3', pattern: keywords('awk cat chmod chown cp curl cut find git grep head ln ls mkdir mv rm rmdir sed sort sudo tail tar touch tr uniq wget xargs') },
+  { className: 'nu0', pattern: /\b\d+\b/ },
+  commonRules.brackets,
+  { className: 'sy0', pattern: /[|&;<>]+/ }
+], ['sh', 'shell', 'zsh', 'console']);
+registerGrammar('json', [
+  { className: 'kw3', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/ },
+  commonRules.doubleQuoted,
+  { className: 'kw2', pattern: keywords('true false null') },
+  { className: 'nu0', pattern: /-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/i },
+  commonRules.brackets,
+  { className: 'sy0', pattern: /[:,]/ }
+]);
+registerGrammar('html', [
+  { className: 'co1', pattern: /<!--[\s\S]*?(?:-->|$)/ },
+  { className: 'sc0', pattern: /<![A-Za-z][^>]*>/ },
+  { className: 'kw2', pattern: /<\/?[A-Za-z][\w:.-]*/, next: 'tag' },
+  { className: 'kw2', pattern: /\/?>/, next: null },
+  { className: 'kw3', pattern: /[A-Za-z_:@][\w:.-]*/, state: 'tag' },
+  { className: 'st0', pattern: /"[^"]*"|'[^']*'/, state: 'tag' },
+  { className: 'sc1', pattern: /&(?:#\d+|#x[\da-f]+|\w+);/i }
+], ['html4strict', 'html5', 'xhtml', 'xml', 'svg']);
+registerGrammar('css', [
+  commonRules.blockComment,
+  commonRules.doubleQuoted,
+  commonRules.singleQuoted,
+  { className: 'kw1', pattern: /@[\w-]+/, next: 'atrule' },
+  { className: 'kw1', pattern: /!important\b/ },
+  { className: 'kw2', pattern: /[\w-]+(?=\s*:)/, state: 'declaration' },
+  { className: 'nu0', pattern: /#[\da-f]{3,8}\b/i, state: 'value' },
+  { className: 'nu0', pattern: /(?<![\w-])-?(?:\d*\.)?\d+(?:%|[a-z]+)?/i },
+  { className: 're0', pattern: /#[\w-]+/ },
+  { className: 're1', pattern: /\.[A-Za-z_-][\w-]*/ },
+  // At-rule blocks hold rules, other blocks hold declarations
+  { className: 'br0', pattern: /\{/, state: 'atrule', next: null },
+  { className: 'br0', pattern: /\{/, next: 'declaration' },
+  { className: 'br0', pattern: /\}/, next: null },
+  commonRules.brackets,
+  { className: 'sy0', pattern: /:/, state: 'declaration', next: 'value' },
+  { className: 'sy0', pattern: /;/, state: 'atrule', next: null },
+  { className: 'sy0', pattern: /;/, next: 'declaration' },
+  { className: 'sy0', pattern: /[:,>+~*=]/ }
+]);
+registerGrammar('sql', [
+  { className: 'co1', pattern: /--.*/ },
+  commonRules.blockComment,
+  { className: 'st0', pattern: /'(?:''|[^'])*'?/ },
+  commonRules.doubleQuoted,
+  { className: 'kw1', pattern: keywords('add all alter and as asc begin between by case check commit create cross default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not null offset on or order outer primary references returning right rollback select set table then transaction union unique update values view when where with', 'i') },
+  { className: 'kw2', pattern: keywords('avg cast coalesce concat count length lower max min now nullif round substring sum upper', 'i') },
+  { className: 'kw3', pattern: keywords('bigint blob boolean char date decimal double float int integer numeric real serial smallint text time timestamp varchar', 'i') },
+  commonRules.number,
+  commonRules.brackets,
+  { className: 'sy0', pattern: /[-+*/%=<>!|;,.]+/ }
+], ['mysql', 'pgsql', 'postgresql', 'sqlite', 'tsql']);
+registerGrammar('java', [
+  commonRules.blockComment,
+  commonRules.lineComment,
+  commonRules.doubleQuoted,
+  commonRules.singleQuoted,
+  { className: 'kw4', pattern: /@\w+/ },
+  { className: 'kw1', pattern: keywords('abstract assert break case catch class continue default do else enum extends final finally for if implements import instanceof interface native new package permits private protected public record return sealed static strictfp super switch synchronized this throw throws transient try var volatile while yield') },
+  { className: 'kw2', pattern: keywords('true false null') },
+  { className: 'kw3', pattern: keywords('boolean byte char double float int long short void ArrayList Boolean Double Exception HashMap Integer List Long Map Object Set String System') },
+  commonRules.number,
+  commonRules.brackets,
+  commonRules.symbols
+], ['java5']);
+registerGrammar('c', [
+  commonRules.blockComment,
+  commonRules.lineComment,
+  { className: 'co2', pattern: /^[ \t]*#[ \t]*\w+.*/m },
+  commonRules.doubleQuoted,
+  commonRules.singleQuoted,
+  { className: 'kw1', pattern: keywords('auto break case const continue default do else enum extern for goto if inline register restrict return sizeof static struct switch typedef union volatile while') },
+  { className: 'kw2', pattern: keywords('NULL true false') },
+  { className: 'kw3', pattern: keywords('bool char double float int long short signed unsigned void size_t FILE int8_t int16_t int32_t int64_t uint8_t uint16_t uint32_t uint64_t') },
+  { className: 'kw4', pattern: keywords('calloc fclose fgets fopen fprintf free malloc memcpy memset printf realloc scanf sprintf strcmp strcpy strlen') },
+  commonRules.number,
+  commonRules.brackets,
+  commonRules.symbols
+], ['h', 'cpp', 'c++']);
+function highlightTokens(code, lang) {
+  const grammar = GRAMMARS[GRAMMAR_ALIASES[lang] || lang];
+  if (!grammar) return [{ className: null, text: code }];
+  const tokens = [];
+  const plainText = /[A-Za-z_$][\w$]*|\s+/y;
+  let plain = '';
+  let pos = 0;
+  let state = null;
+  while (pos < code.length) {
+    let token = null;
+    for (const rule of grammar) {
+      if (rule.state !== undefined && rule.state !== state) continue;
+      rule.pattern.lastIndex = pos;
+      const match = rule.pattern.exec(code);
+      if (match && match[0]) {
+        token = { className: rule.className, text: match[0] };
+        if (rule.next !== undefined) state = rule.next;
+        break;
       }
     }
+    if (!token) {
+      plainText.lastIndex = pos;
+      const match = plainText.exec(code);
+      const text = match ? match[0] : code[pos];
+      plain += text;
+      pos += text.length;
+      continue;
+    }
+    if (plain) tokens.push({ className: null, text: plain });
+    plain = '';
+    tokens.push(token);
+    pos += token.text.length;
+  }
+  if (plain) tokens.push({ className: null, text: plain });
+  return tokens;
+}
+function highlightCode(code, lang, options = {}) {
+  const escape = (text) => DokuParserJS.prototype.escapeEntities(text);
+  const lines = [''];
+  highlightTokens(code, lang ? lang.toLowerCase() : null).forEach(({ className, text }) => {
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push('');
+      if (part) lines[lines.length - 1] += className ? `<span class="${className}">${escape(part)}</span>` : escape(part);
+    });
   });
-  html += '</tbody></table></div>';
-  return html;
+  const extra = new Set(String(options.highlight_lines_extra || '').split(',').map(Number).filter(Boolean));
+  if (options.enable_line_numbers === true) {
+    const start = parseInt(options.start_line_numbers_at, 10) || 1;
+    return `<ol${start !== 1 ? ` start="${start}"` : ''}>${lines.map((line, i) => `<li class="${extra.has(i + 1) ? 'li1 ln-xtra' : 'li1'}"><div class="de1">${line}</div></li>`).join('')}</ol>`;
+  }
+  return lines.map((line, i) => (extra.has(i + 1) ? `<span class="ln-xtra">${line}</span>` : line)).join('\n');
+}
+/**
+ * Syntax plugin registry shared by all parser instances.
+ *
+ * Inline plugins join the inline modes at their `priority`; built-in modes run in the `RULE_PRIORITY` stages below,
+ * and a plugin runs after the built-in modes of the stage it shares. Block plugins are tried at the start of every
+ * unindented line before the built-in block syntax.
+ */
+const RULE_PRIORITY = { CONTROL: 10, LINKS: 100, MEDIA: 200, NOFORMAT: 300, FORMATTING: 400, HTML: 500, TYPOGRAPHY: 600, SMILEYS: 700 };
+const SYNTAX_PLUGINS = new Map();
+// Media extensions DokuWiki embeds; the order of video and audio types is the order of alternative <source>s
+const MEDIA_TYPES = {
+  image: ['gif', 'jpg', 'jpeg', 'png', 'svg', 'webp'],
+  video: { webm: 'video/webm', ogv: 'video/ogg', mp4: 'video/mp4' },
+  audio: { ogg: 'audio/ogg', mp3: 'audio/mpeg', wav: 'audio/wav' }
+};
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${Math.round(size * 10) / 10}\u00a0${units[unit]}`;
+}
+/**
+ * Registers (or replaces) a syntax plugin.
+ *
+ * @param {Object} plugin - Plugin definition.
+ * @param {string} plugin.name - Unique plugin name; listed by `~~INFO:syntaxplugins~~`.
+ * @param {string} [plugin.type='inline'] - 'inline' (matched inside text) or 'block' (matched against a whole line).
+ * @param {RegExp} plugin.pattern - Inline construct, or the opening line of a block.
+ * @param {RegExp} [plugin.end] - Closing line of a block; without it the block is the opening line alone.
+ * @param {number} [plugin.priority=90] - Inline position among the built-in stages (`DokuParserJS.PRIORITY`); the default
+ *   runs before links so link syntax inside the construct is still raw text.
+ * @param {Function} plugin.render - `(match, { parser, content, render }) => html`; `content` is the raw text between a
+ *   block's opening and closing lines and `render(text)` renders wiki text (block-level for blocks, inline otherwise).
+ * @param {Object} [plugin.info] - `{ author, description, url }` shown by `~~INFO:syntaxplugins~~`.
+ */
+function registerPlugin(plugin) {
+  if (!plugin || !plugin.name || !(plugin.pattern instanceof RegExp) || typeof plugin.render !== 'function') {
+    throw new Error('Syntax plugins need a name, a pattern and a render function');
+  }
+  SYNTAX_PLUGINS.set(plugin.name, { type: 'inline', priority: 90, info: {}, ...plugin });
+}
+function syntaxPlugins(type) {
+  return [...SYNTAX_PLUGINS.values()].filter(plugin => plugin.type === type).sort((a, b) => a.priority - b.priority);
 }
 class DokuParserJS {
   constructor(options = {}) {
+    this.options = options;
     this.currentNamespace = options.currentNamespace || '';
-    this.interwikiMap = options.interwikiMap || {
-      wp: 'https://en.wikipedia.org/wiki/',
-      doku: 'https://www.dokuwiki.org/'
+    // DokuWiki always defines this> for links relative to the wiki itself
+    this.interwikiMap = {
+      this: '{NAME}',
+      ...(options.interwikiMap || {
+        wp: 'https://en.wikipedia.org/wiki/',
+        doku: 'https://www.dokuwiki.org/'
+      })
     };
     this.htmlok = options.htmlok !== false;
+    this.safeMode = options.safeMode === true;
+    this.allowedSchemes = options.allowedSchemes || ['http', 'https', 'ftp', 'mailto', 'news', 'irc', 'file'];
     this.typography = options.typography !== false;
     this.useTxtExtension = options.useTxtExtension !== false;
+    this.pageExtension = options.pageExtension !== undefined ? options.pageExtension : (this.useTxtExtension ? '.txt' : '');
     this.pagesBasePath = options.pagesBasePath || '/';
     this.mediaBasePath = options.mediaBasePath || '/data/media/';
     this.smileyBasePath = options.smileyBasePath || '/dokuwiki/lib/exe/fetch.php?media=lib:images:smileys:';
     this.useEmoji = options.useEmoji !== false; // Default true
+    const knownPages = Array.isArray(options.pageExists) ? new Set(options.pageExists) : options.pageExists;
+    this.pageExists = knownPages instanceof Set ? (id) => knownPages.has(id) : (typeof knownPages === 'function' ? knownPages : null);
+    const knownMedia = Array.isArray(options.mediaFiles) ? new Map(options.mediaFiles.map(item => [item.id, item])) : options.mediaFiles;
+    this.mediaInfo = knownMedia instanceof Map ? (id) => knownMedia.get(id) || null : (typeof knownMedia === 'function' ? knownMedia : null);
+    this.allowedFrames = options.allowedFrames || [];
+    this.toc = options.toc === true;
+    this.maxTocLevel = options.maxTocLevel || 3;
+    this.lintOnParse = options.lint === true;
+    this.headings = [];
+    this.headingIds = new Map();
+    this.noToc = false;
+    this.codeBlocks = [];
+    this.highlight = options.highlight !== false;
+    this.feedProvider = typeof options.feedProvider === 'function' ? options.feedProvider : null;
+    const includePages = options.includePages instanceof Map ? options.includePages : new Map(Object.entries(options.includePages || {}));
+    this.includeSource = typeof options.includePages === 'function' ? options.includePages : (id) => includePages.get(id) ?? null;
+    this.pageId = options.pageId || null;
+    this.includeStack = options.includeStack || (this.pageId ? [this.pageId] : []);
+    this.maxIncludeDepth = options.maxIncludeDepth || 5;
+    this.codeBlockHref = typeof options.codeBlockHref === 'function' ? options.codeBlockHref : null;
     this.footnotes = [];
-    this.footnoteContent = new Map();
-    this.linkPlaceholders = [];
-    this.nowikiPlaceholders = [];
-    this.listStack = [];
-    this.currentIndent = -1;
-    this.currentType = null;
-    this.currentSectionLevel = 0;
-    this.currentSection = '';
-    this.smileyMap = this.useEmoji ? {
+    const smileys = this.useEmoji ? {
       '8-)': '😎',
       '8-O': '😲',
       ':-(': '😞',
@@ -253,202 +541,62 @@ class DokuParserJS {
       'FIXME': 'fixme.svg',
       'DELETEME': 'delete.svg'
     };
-    this.rules = [
-      // Control macros before %% to strip outside noformat
-      { pattern: /~~NOTOC~~|~~NOCACHE~~/g, replace: '' },
-      {
-        pattern: /(^|\s)(https?:\/\/[^\s<>\[\]]+)(?=\s|$)/g,
-        replace: (match, prefix, url) => {
-          if (this.currentSection.match(/^(Links|RSS\/ATOM Feed Aggregation)$/i)) {
-            return match;
-          }
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${url}" class="urlextern" rel="nofollow">${url}</a>`);
-          return `${prefix}${placeholder}`;
-        }
-      },
-      {
-        pattern: /(^|\s)(www\.[^\s<>\[\]]+)(?=\s|$)/g,
-        replace: (match, prefix, url) => {
-          if (this.currentSection.match(/^(Links|RSS\/ATOM Feed Aggregation)$/i)) {
-            return match;
-          }
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="http://${url}" class="urlextern" rel="nofollow">${url}</a>`);
-          return `${prefix}${placeholder}`;
-        }
-      },
-      {
-        pattern: /(^|\s)<([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})>(?=\s|$)/g,
-        replace: (match, prefix, email) => {
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="mailto:${email}" class="mail" title="${email.replace(/ /g, ' [at] ').replace(/\./g, ' [dot] ')}">${email}</a>`);
-          return `${prefix}${placeholder}`;
-        }
-      },
-      {
-        pattern: /\[\[([a-zA-Z]+>[\w:-]+(?:#[\w:-]*)?)(?:\|([^\]]*))?\]\]/g,
-        replace: (match, full, text) => {
-          full = full.trim();
-          text = text ? text.trim() : '';
-          const [wiki, rest] = full.split('>');
-          const [page, section] = rest.includes('#') ? rest.split('#') : [rest, ''];
-          let display = text || page;
-          if (text.match(/\{\{[^}]+?\}\}/)) {
-            display = this.applyRules(text).replace(/<a\s+[^>]*class\s*=\s*"media"[^>]*>([\s\S]*?)<\/a>/g, '$1');
-          }
-          const href = this.interwikiMap[wiki] ? `${this.interwikiMap[wiki]}${encodeURIComponent(page)}${section ? '#' + section : ''}` : match;
-          const className = `interwiki iw_${wiki}`;
-          const attrs = ` title="${this.interwikiMap[wiki] || ''}${page}${section ? '#' + section : ''}" data-wiki-id="${full}"`;
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${href}" class="${className}"${attrs}>${display}</a>`);
-          return placeholder;
-        }
-      },
-      {
-        pattern: /\[\[(https?:\/\/[^\]|#]+)(?:#([^|]*))?(?:\|([^\]]*))?\]\]/g,
-        replace: (match, target, section, text) => {
-          target = target.trim();
-          text = text ? text.trim() : target.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '');
-          if (text.match(/\{\{[^}]+?\}\}/)) {
-            text = this.applyRules(text).replace(/<a\s+[^>]*class\s*=\s*"media"[^>]*>([\s\S]*?)<\/a>/g, '$1');
-          }
-          const href = section ? `${target}#${section}` : target;
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${href}" class="urlextern" title="${href}" rel="nofollow">${text}</a>`);
-          return placeholder;
-        }
-      },
-      {
-        pattern: /\[\[([^\]|#]+)(?:#([^|]*))?(?:\|([^\]]*))?\]\]/g,
-        replace: (match, target, section, text) => {
-          target = target.trim();
-          text = text ? text.trim() : target;
-          if (text.match(/\{\{[^}]+?\}\}/)) {
-            text = this.applyRules(text).replace(/<a\s+[^>]*class\s*=\s*"media"[^>]*>([\s\S]*?)<\/a>/g, '$1');
-          }
-          let path = this.resolveNamespace(target);
-          let href = `${this.pagesBasePath}${path.replace(/:/g, '/')}${this.useTxtExtension ? '.txt' : ''}`;
-          let className = 'wikilink1';
-          let attrs = ` data-wiki-id="${target}"`;
-          if (section) {
-            href += `#${section}`;
-            className = 'wikilink2';
-            attrs = ` title="${target}#${section}" data-wiki-id="${target}#${section}"`;
-          } else if (path.endsWith(':start')) {
-            className = 'wikilink1 curid';
-            attrs = ` title="${target}" data-wiki-id="${target}"`;
-          }
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          this.linkPlaceholders.push(`<a href="${href}" class="${className}"${attrs}>${text}</a>`);
-          return placeholder;
-        }
-      },
-      // RSS literal before image
-      {
-        pattern: /\{\{rss>[\s\S]*?\}\}/g,
-        replace: (match) => match
-      },
-      {
-        pattern: /(^|\s)\{\{([^}]+?)(?:\?([^}]*))?(?:\|([ ^}]*))?}}(?:\s|$)/g,
-        replace: (fullMatch, prefix, full, params, alt) => {
-          full = full.trim();
-          params = params ? params.trim() : '';
-          alt = alt ? alt.trim() : '';
-          let alignClass = 'media';
-          const beforeSpace = fullMatch.startsWith(' ');
-          const afterSpace = fullMatch.endsWith(' ');
-          if (beforeSpace && afterSpace) alignClass += ' mediacenter';
-          else if (beforeSpace) alignClass += ' medialeft';
-          else if (afterSpace) alignClass += ' mediaright';
-          const nsFile = full.includes(':') ? full : `${this.currentNamespace}:${full}`;
-          const href = full.match(/^https?:\/\//) ? full : `${this.mediaBasePath}${nsFile.replace(/:/g, '/')}`;
-          const placeholder = `[LINK_${this.linkPlaceholders.length}]`;
-          let img = `<img src="${href}" class="${alignClass}" alt="${alt}" loading="lazy"`;
-          if (params && params !== 'linkonly' && params !== 'nolink') {
-            const w = params.match(/(\d+)(?=$|x)/)?.[1];
-            const h = params.match(/x(\d+)$/)?.[1];
-            if (w) img += ` width="${w}"`;
-            if (h) img += ` height="${h}"`;
-          }
-          img += ' />';
-          if (params === 'linkonly') {
-            this.linkPlaceholders.push(`<a href="${href}" class="media" title="${alt}">${alt || href}</a>`);
-          } else if (params === 'nolink') {
-            this.linkPlaceholders.push(img);
-          } else if (full.includes('doku>') || full.includes('wp>')) {
-            this.linkPlaceholders.push(img);
-          } else {
-            this.linkPlaceholders.push(`<a href="${href}" class="media" title="${alt}">${img}</a>`);
-          }
-          return `${prefix}${placeholder}`;
-        }
-      },
-      {
-        pattern: /<nowiki>([\s\S]*?)<\/nowiki>/g,
-        replace: (match, content) => {
-          const ph = `[NOWIKI_${this.nowikiPlaceholders.length}]`;
-          this.nowikiPlaceholders.push(content);
-          return ph;
-        }
-      },
-      {
-        pattern: /%%([\s\S]*?)%%/g,
-        replace: (match, content) => {
-          content = content.trim();
-          return this.escapeEntities(content);
-        }
-      },
-      { pattern: /\*\*(.+?)\*\*/g, replace: '<strong>$1</strong>' },
-      { pattern: /\/\/(.+?)\/\//g, replace: '<em>$1</em>' },
-      { pattern: /__(.+?)__/g, replace: '<u>$1</u>' },
-      { pattern: /''(.+?)''/g, replace: '<tt>$1</tt>' },
-      { pattern: /<sub>(.+?)<\/sub>/g, replace: '<sub>$1</sub>' },
-      { pattern: /<sup>(.+?)<\/sup>/g, replace: '<sup>$1</sup>' },
-      { pattern: /<del>(.+?)<\/del>/g, replace: '<del>$1</del>' },
-      {
-        pattern: /<(?:html|HTML)>([\s\S]*?)<\/(?:html|HTML)>/g,
-        replace: (match, content) => this.htmlok ? content : `<pre class="code html">${this.escapeEntities(content)}</pre>`
-      },
-      {
-        pattern: /<(?:php|PHP)>([\s\S]*?)<\/(?:php|PHP)>/g,
-        replace: (match, content) => `<pre class="code php">${this.escapeEntities(content)}</pre>`
-      },
-      {
-        pattern: /~~INFO:syntaxplugins~~/g,
-        replace: () => ''
-      },
-      ...(this.typography ? [
-        { pattern: /\s->(?=\s)/g, replace: ' &rarr; ' },
-        { pattern: /\s<-(?=\s)/g, replace: ' &larr; ' },
-        { pattern: /\s<->(?=\s)/g, replace: ' &harr; ' },
-        { pattern: /\s=>(?=\s)/g, replace: ' &rArr; ' },
-        { pattern: /\s<=(?=\s)/g, replace: ' &lArr; ' },
-        { pattern: /\s<=>(?=\s)/g, replace: ' &hArr; ' },
-        { pattern: /\s>>(?=\s)/g, replace: ' &raquo; ' },
-        { pattern: /\s<<(?=\s)/g, replace: ' &laquo; ' },
-        { pattern: /\s---(?=\s)/g, replace: ' &mdash; ' },
-        { pattern: /\s--(?=\s)/g, replace: ' &ndash; ' },
-        { pattern: /\(c\)/gi, replace: '&copy;' },
-        { pattern: /\(tm\)/gi, replace: '&trade;' },
-        { pattern: /\(r\)/gi, replace: '&reg;' },
-        { pattern: /(\d+)x(\d+)/g, replace: '$1&times;$2' }
-      ] : []),
-      {
-        pattern: new RegExp(Object.keys(this.smileyMap).map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g'),
-        replace: (match) => {
-          const icon = this.smileyMap[match];
-          if (icon) {
-            if (this.useEmoji) {
-              return icon;
-            } else {
-              return `<img src="${this.smileyBasePath}${icon}" class="icon smiley" alt="${match}">`;
-            }
-          }
-          return match;
-        }
+    // smileys.conf is the wiki's own choice of images, so it wins over emoji mode
+    this.smileyMap = options.smileys || smileys;
+    // Typography replacements that need whitespace on both sides
+    this.entityMap = {
+      '->': '&rarr;',
+      '<-': '&larr;',
+      '<->': '&harr;',
+      '=>': '&rArr;',
+      '<=': '&lArr;',
+      '<=>': '&hArr;',
+      '>>': '&raquo;',
+      '<<': '&laquo;',
+      '---': '&mdash;',
+      '--': '&ndash;'
+    };
+    // Replacements matched anywhere in the text
+    this.textEntities = { '(c)': '&copy;', '(tm)': '&trade;', '(r)': '&reg;' };
+    if (options.entities) {
+      const entries = Object.entries(options.entities);
+      this.entityMap = Object.fromEntries(entries.filter(([text]) => !/\w/.test(text)));
+      this.textEntities = Object.fromEntries(entries.filter(([text]) => /\w/.test(text)));
+    }
+    this.acronyms = options.acronyms || {};
+  }
+  acronymPattern(flags) {
+    // DokuWiki only matches acronyms between ASCII characters that are not letters or digits
+    const acronyms = Object.keys(this.acronyms).sort((a, b) => b.length - a.length).map(text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![^\\x00-\\x2f\\x3a-\\x40\\x5b-\\x60\\x7b-\\x7f])(?:${acronyms.join('|')})(?![^\\x00-\\x2f\\x3a-\\x40\\x5b-\\x60\\x7b-\\x7f])`, flags);
+  }
+  acronymHtml(text) {
+    return `<abbr title="${this.escapeEntities(this.acronyms[text])}">${this.escapeEntities(text)}</abbr>`;
+  }
+  smileyHtml(text, icon) {
+    if (!/\.\w+$/.test(icon)) return icon;
+    return `<img src="${this.smileyBasePath}${icon}" class="icon smiley" alt="${this.escapeEntities(text)}">`;
+  }
+  interwikiUrl(wiki, page, section = '') {
+    const base = this.interwikiMap[wiki];
+    if (!base) return null;
+    const placeholder = /\{(URL|NAME|SCHEME|HOST|PORT|PATH|QUERY)\}/g;
+    let url = base + encodeURIComponent(page);
+    if (placeholder.test(base)) {
+      let parts = {};
+      try {
+        const parsed = new URL(page);
+        parts = { SCHEME: parsed.protocol.replace(/:$/, ''), HOST: parsed.hostname, PORT: parsed.port, PATH: parsed.pathname, QUERY: parsed.search.replace(/^\?/, '') };
+      } catch (e) {
+        parts = {};
       }
-    ];
+      url = base.replace(placeholder, (match, key) => {
+        if (key === 'URL') return encodeURIComponent(page);
+        if (key === 'NAME') return page.replace(/[[\\\]^`{|}#%]/g, encodeURIComponent);
+        return parts[key] || '';
+      });
+    }
+    return section ? `${url}#${section}` : url;
   }
   resolveNamespace(target) {
     const originalTarget = target;
@@ -487,466 +635,1039 @@ class DokuParserJS {
       }
       let currNs = this.currentNamespace || '';
       resolved = currNs + (currNs ? ':' : '') + tempTarget;
+    } else if (!target.includes(':') && this.currentNamespace) {
+      resolved = `${this.currentNamespace}:${target}`;
     } else {
       resolved = target;
     }
-    resolved = resolved.replace(/:+/g, ':').replace(/^:/, '').replace(/:$/, '');
+    resolved = resolved.toLowerCase().replace(/:+/g, ':').replace(/^:/, '').replace(/:$/, '');
     resolved = resolved.replace(/[^a-z0-9:-_]/gi, '_');
     if (isStartPage) {
-      resolved += ':start';
+      return this.startPage(resolved);
     }
     if (!resolved) resolved = 'start';
     return resolved;
   }
+  startPage(namespace) {
+    if (!namespace) return 'start';
+    const candidates = [`${namespace}:start`, `${namespace}:${namespace.split(':').pop()}`, namespace];
+    return (this.pageExists && candidates.find(id => this.pageExists(id))) || candidates[0];
+  }
+  namespaceIndex(namespace, pages) {
+    const prefix = namespace ? `${namespace}:` : '';
+    const inside = pages.filter(page => page.id.startsWith(prefix)).map(page => ({ ...page, parts: page.id.slice(prefix.length).split(':') }));
+    return {
+      namespaces: [...new Set(inside.filter(page => page.parts.length > 1).map(page => `${prefix}${page.parts[0]}`))].sort(),
+      pages: inside.filter(page => page.parts.length === 1).map(({ parts, ...page }) => page).sort((a, b) => a.id.localeCompare(b.id))
+    };
+  }
+  namespaceIndexHtml(namespace, pages) {
+    const { namespaces, pages: direct } = this.namespaceIndex(namespace, pages);
+    const list = (items) => `<ul class="idx">${items.map(html => `<li class="level1"><div class="li">${html}</div></li>`).join('')}</ul>`;
+    const body = [
+      namespaces.length ? `<h2>Namespaces</h2>${list(namespaces.map(ns => this.internalLink(`:${ns}:`, '', this.escapeEntities(ns.split(':').pop()))))}` : '',
+      direct.length ? `<h2>Pages</h2>${list(direct.map(page => `${this.internalLink(`:${page.id}`, '', this.escapeEntities(page.title || page.id.split(':').pop()))} <span class="id">${this.escapeEntities(page.id)}</span>`))}` : ''
+    ].join('');
+    return `<div class="page group nsindex"><h1>${this.escapeEntities(namespace || 'Index')}</h1>\n<p>${namespace ? 'This namespace has no start page.' : 'The wiki has no start page.'} ${body ? 'It contains:' : 'It is empty.'}</p>\n${body}</div>`;
+  }
+  pageHref(id) {
+    return `${this.pagesBasePath}${id.replace(/:/g, '/')}${this.pageExtension}`;
+  }
+  mediaId(src) {
+    return (src.includes(':') ? src : `${this.currentNamespace}:${src}`).replace(/^:/, '');
+  }
+  mediaHref(src, cache = 'cache') {
+    if (src.match(/^https?:\/\//)) return src;
+    // nocache/recache travel as DokuWiki's cache parameter so a proxy or the reader's service worker can honor them
+    return `${this.mediaBasePath}${this.mediaId(src).replace(/:/g, '/')}${cache === 'cache' ? '' : `?cache=${cache}`}`;
+  }
+  mediaAlternatives(id, extensions) {
+    const base = id.replace(/\.[^.:]+$/, '');
+    const own = id.slice(base.length + 1).toLowerCase();
+    return extensions.map(ext => (ext === own ? id : `${base}.${ext}`)).filter(alt => alt === id || (this.mediaInfo && this.mediaInfo(alt)));
+  }
+  internalLink(target, section, text) {
+    const path = this.resolveNamespace(target);
+    let href = this.pageHref(path);
+    const exists = this.linkTargetExists(path);
+    let className = exists ? 'wikilink1' : 'wikilink2';
+    const attr = (value) => this.escapeEntities(value);
+    let attrs = ` data-wiki-id="${attr(target)}"`;
+    if (section) {
+      href += `#${section}`;
+      attrs = ` title="${attr(`${target}#${section}`)}" data-wiki-id="${attr(`${target}#${section}`)}"`;
+    } else if (path.endsWith(':start') || target.endsWith(':')) {
+      if (exists) className += ' curid';
+      attrs = ` title="${attr(target)}" data-wiki-id="${attr(target)}"`;
+    }
+    if (!exists) attrs += ' rel="nofollow"';
+    return `<a href="${attr(href)}" class="${className}"${attrs}>${text}</a>`;
+  }
+  linkTargetExists(id) {
+    return this.pageExists ? Boolean(this.pageExists(id)) : true;
+  }
+  interwikiLink(wiki, page, section, text, fallbackHref) {
+    const base = this.interwikiMap[wiki];
+    const href = this.interwikiUrl(wiki, page, section) || fallbackHref;
+    if (!this.isSafeUrl(href)) return text;
+    const id = `${wiki}>${page}${section ? '#' + section : ''}`;
+    const title = base && base.includes('{') ? href : `${base || ''}${id.slice(wiki.length + 1)}`;
+    const attr = (value) => this.escapeEntities(value);
+    return `<a href="${attr(href)}" class="interwiki iw_${attr(wiki)}" title="${attr(title)}" data-wiki-id="${attr(id)}">${text}</a>`;
+  }
+  windowsShareLink(share, text) {
+    const href = `file:///${share.replace(/\\/g, '/').replace(/^\/+/, '')}`;
+    return `<a href="${this.escapeEntities(href)}" class="windows" title="${this.escapeEntities(share)}">${text}</a>`;
+  }
+  externalLink(href, text, title) {
+    if (!this.isSafeUrl(href)) return text;
+    return `<a href="${this.escapeEntities(href)}" class="urlextern"${title ? ` title="${this.escapeEntities(title)}"` : ''} rel="nofollow">${text}</a>`;
+  }
+  emailLink(email, text) {
+    const title = email.replace(/ /g, ' [at] ').replace(/\./g, ' [dot] ');
+    return `<a href="${this.escapeEntities(`mailto:${email}`)}" class="mail" title="${this.escapeEntities(title)}">${text}</a>`;
+  }
+  mediaHtml({ src, align = '', width = null, height = null, linking = 'details', title = '', cache = 'cache' }) {
+    const href = this.mediaHref(src, cache);
+    const attr = (value) => this.escapeEntities(String(value));
+    if (!this.isSafeUrl(href)) return attr(title || src);
+    const external = /^https?:\/\//.test(src);
+    const id = external ? null : this.mediaId(src);
+    const name = external ? src.split(/[?#]/)[0].split('/').pop() : id.split(':').pop();
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    if (!MEDIA_TYPES.image.includes(ext)) {
+      const kind = MEDIA_TYPES.video[ext] ? 'video' : (MEDIA_TYPES.audio[ext] ? 'audio' : null);
+      if (kind && linking !== 'linkonly') return this.mediaPlayerHtml(kind, { src, id, align, width, height, title, cache });
+      const info = id && this.mediaInfo ? this.mediaInfo(id) : null;
+      if (linking === 'nolink') return attr(title || name);
+      const className = `media mediafile mf_${ext.replace(/[^_\-a-z0-9]+/g, '_')}${id && this.mediaInfo && !info ? ' wikilink2' : ''}`;
+      const tip = `${id || src}${info && info.size != null ? ` (${formatSize(info.size)})` : ''}`;
+      return `<a href="${attr(href)}" class="${className}" title="${attr(tip)}">${attr(title || name)}</a>`;
+    }
+    if (linking === 'linkonly') {
+      return `<a href="${attr(href)}" class="media" title="${attr(title)}">${attr(title || href)}</a>`;
+    }
+    let img = `<img src="${attr(href)}" class="${align ? `media media${attr(align)}` : 'media'}" alt="${attr(title)}" loading="lazy"`;
+    if (width) img += ` width="${attr(width)}"`;
+    if (height) img += ` height="${attr(height)}"`;
+    img += ' />';
+    return linking === 'nolink' ? img : `<a href="${attr(href)}" class="media" title="${attr(title)}">${img}</a>`;
+  }
+  mediaPlayerHtml(kind, { src, id, align, width, height, title, cache }) {
+    const types = MEDIA_TYPES[kind];
+    const attr = (value) => this.escapeEntities(String(value));
+    const sources = id ? this.mediaAlternatives(id, Object.keys(types)).map(alt => `:${alt}`) : [src];
+    const ext = (file) => file.split('.').pop().toLowerCase();
+    let tag = `<${kind} class="${align ? `media media${attr(align)}` : 'media'}"`;
+    if (kind === 'video') {
+      const poster = id ? this.mediaAlternatives(id, ['jpg', 'png']).find(alt => this.mediaInfo && this.mediaInfo(alt)) : null;
+      tag += ` width="${attr(width || 320)}" height="${attr(height || 240)}"`;
+      if (poster) tag += ` poster="${attr(this.mediaHref(`:${poster}`))}"`;
+    }
+    tag += ' controls="controls">';
+    // Browsers pick the first source they can play; the file links are the fallback for those without the element
+    const sourceTags = sources.map(file => `<source src="${attr(this.mediaHref(file, cache))}" type="${types[ext(file)] || `${kind}/${ext(file)}`}" />`);
+    const fallback = sources.map(file => this.mediaHtml({ src: file, linking: 'linkonly', title: title || file.split(/[:/]/).pop(), cache }));
+    return `${tag}${sourceTags.join('')}${fallback.join(' ')}</${kind}>`;
+  }
+  codeTagArgs(args) {
+    let options = {};
+    const params = args.replace(/\[([^\]]*)\]/, (match, inner) => {
+      options = this.codeOptions(inner);
+      return ' ';
+    }).trim().split(/\s+/).filter(Boolean);
+    const [lang = null, filename = null] = params;
+    return { lang: lang && lang !== '-' ? lang : null, filename, options };
+  }
+  codeOptions(text) {
+    const options = {};
+    const optionPattern = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s,]+)))?/g;
+    let match;
+    while ((match = optionPattern.exec(text)) !== null) {
+      const value = match[2] ?? match[3] ?? match[4];
+      options[match[1]] = value === undefined || value === 'true' ? true : value === 'false' ? false : value;
+    }
+    return options;
+  }
+  codeBlockHtml(codeLang, content, tag) {
+    const { filename = null, options = {} } = tag || {};
+    const [kind, lang = null] = codeLang.split(' ');
+    const pre = `<pre class="${this.escapeEntities(codeLang)}">${highlightCode(content, this.highlight ? lang : null, options)}</pre>`;
+    if (!filename) return pre;
+    const codeBlocks = (this.rootParser || this).codeBlocks;
+    const block = { index: codeBlocks.length, kind, lang, filename, content };
+    codeBlocks.push(block);
+    const extension = (filename.match(/\.([a-z0-9]+)$/i) || [])[1];
+    const href = this.codeBlockHref ? this.codeBlockHref(block) : '#';
+    const link = `<a href="${this.escapeEntities(href)}" title="Download Snippet" class="mediafile${extension ? ` mf_${extension.toLowerCase()}` : ''}" download="${this.escapeEntities(filename)}" data-codeblock="${block.index}">${this.escapeEntities(filename)}</a>`;
+    return `<dl class="${kind}"><dt>${link}</dt><dd>${pre}</dd></dl>`;
+  }
+  childParser(options = {}) {
+    const child = new DokuParserJS({ ...this.options, toc: false, pageId: this.pageId, includeStack: this.includeStack, ...options });
+    child.rootParser = this.rootParser || this;
+    return child;
+  }
+  parseFragment(text) {
+    return this.childParser().parse(text).replace(/^<div class="page group">/, '').replace(/<\/div>$/, '');
+  }
+  parseInlineFragment(text) {
+    const child = this.childParser();
+    child.astLineStarts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) child.astLineStarts.push(i + 1);
+    const renderer = new DokuHtmlRenderer(child);
+    renderer.footnotes = child.rootParser.footnotes;
+    return renderer.renderChildren({ children: child.parseInline(text) });
+  }
+  blockPluginAt(lines, i) {
+    const trimmed = lines[i].trim();
+    for (const plugin of syntaxPlugins('block')) {
+      const match = trimmed.match(plugin.pattern);
+      if (!match) continue;
+      if (!plugin.end) return { plugin, match: [...match], content: null, endLine: i };
+      let depth = 1;
+      let j = i + 1;
+      for (; j < lines.length; j++) {
+        const line = lines[j].trim();
+        if (plugin.pattern.test(line)) depth++;
+        else if (plugin.end.test(line) && --depth === 0) break;
+      }
+      return { plugin, match: [...match], content: lines.slice(i + 1, j).join('\n'), endLine: Math.min(j, lines.length - 1) };
+    }
+    return null;
+  }
+  renderPlugin(plugin, match, content = null, render = null) {
+    const fallback = plugin.type === 'block' ? (text) => this.parseFragment(text) : (text) => this.parseInlineFragment(text);
+    return plugin.render(match, { parser: this, content, render: render || fallback }) ?? '';
+  }
+  pluginInfoHtml() {
+    const plugins = [...SYNTAX_PLUGINS.values()];
+    if (!plugins.length) return '<p><em>No syntax plugins installed.</em></p>';
+    const items = plugins.map(plugin => {
+      const { author, description, url } = plugin.info;
+      const name = url && this.isSafeUrl(url) ? `<a href="${this.escapeEntities(url)}" class="urlextern" rel="nofollow">${this.escapeEntities(plugin.name)}</a>` : `<strong>${this.escapeEntities(plugin.name)}</strong>`;
+      return `<li class="level1"><div class="li">${name} <em>(${plugin.type})</em>${author ? ` by ${this.escapeEntities(author)}` : ''}${description ? `<br />${this.escapeEntities(description)}` : ''}</div></li>`;
+    }).join('');
+    return `<ul class="plugininfo">${items}</ul>`;
+  }
+  includeArgs(value) {
+    const [ref = '', ...flags] = value.split('&').map(part => part.trim());
+    const [target, section = ''] = ref.split('#');
+    return { target, id: this.resolveNamespace(target), section, flags: flags.map(flag => flag.toLowerCase()) };
+  }
+  includeHeadings(lines) {
+    const headings = [];
+    let fence = null;
+    lines.forEach((line, index) => {
+      const trimmed = line.trim();
+      if (fence) {
+        if (trimmed.includes(`</${fence}>`)) fence = null;
+        return;
+      }
+      const open = trimmed.match(/^<(code|file|nowiki|html|php)\b/i);
+      if (open && !trimmed.includes(`</${open[1]}>`)) {
+        fence = open[1];
+        return;
+      }
+      const match = trimmed.match(/^(={2,6})(.+?)={2,6}$/);
+      if (match) headings.push({ index, level: 7 - match[1].length, title: match[2].trim(), id: this.sectionId(match[2].trim()) });
+    });
+    return headings;
+  }
+  sections(text) {
+    const lines = text.split('\n');
+    const headings = this.includeHeadings(lines);
+    return headings.map(heading => {
+      const next = headings.find(other => other.index > heading.index && other.level <= heading.level);
+      const end = next ? next.index : lines.length;
+      return { ...heading, start: heading.index, end, text: lines.slice(heading.index, end).join('\n') };
+    });
+  }
+  replaceSection(text, index, sectionText) {
+    const section = this.sections(text)[index];
+    if (!section) return text;
+    const lines = text.split('\n');
+    const replacement = sectionText.replace(/\s+$/, '').split('\n');
+    if (section.end < lines.length) replacement.push('');
+    lines.splice(section.start, section.end - section.start, ...replacement);
+    return lines.join('\n');
+  }
+  includeHtml(kind, value, level = this.currentSectionLevel) {
+    const { id, section, flags } = this.includeArgs(value);
+    const pageLink = (text) => this.internalLink(`:${id}`, '', text);
+    const error = (message) => `<div class="plugin_include_error"><em>${message}</em></div>`;
+    if (this.includeStack.includes(id) || this.includeStack.length > this.maxIncludeDepth) {
+      return error(`Skipped recursive include of ${pageLink(this.escapeEntities(id))}`);
+    }
+    const text = this.includeSource(id);
+    if (typeof text !== 'string') return error(`Included page ${pageLink(this.escapeEntities(id))} does not exist.`);
+    let lines = text.split('\n');
+    let headings = this.includeHeadings(lines);
+    if (kind === 'section' || section) {
+      const match = this.sections(text).find(heading => heading.id === this.sectionId(section));
+      if (!match) return error(`Section ${this.escapeEntities(section)} not found in ${pageLink(this.escapeEntities(id))}`);
+      lines = match.text.split('\n');
+      headings = this.includeHeadings(lines);
+    }
+    const leadingHeading = headings.length && lines.slice(0, headings[0].index).every(line => !line.trim()) ? headings[0] : null;
+    let truncated = false;
+    if (flags.includes('firstseconly') || flags.includes('firstsec')) {
+      const cut = headings[leadingHeading ? 1 : 0];
+      if (cut) {
+        lines = lines.slice(0, cut.index);
+        truncated = true;
+      }
+    }
+    if (leadingHeading && flags.includes('noheader')) lines[leadingHeading.index] = '';
+    const shown = this.includeHeadings(lines);
+    if (shown.length) {
+      const delta = Math.max(level, 0) + 1 - Math.min(...shown.map(heading => heading.level));
+      shown.forEach(heading => {
+        const equals = '='.repeat(7 - Math.min(5, Math.max(1, heading.level + delta)));
+        lines[heading.index] = `${equals} ${heading.title} ${equals}`;
+      });
+    }
+    const child = this.childParser({ currentNamespace: id.split(':').slice(0, -1).join(':'), pageId: id, includeStack: [...this.includeStack, id] });
+    let html = child.parse(lines.join('\n')).replace(/^<div class="page group">/, '').replace(/<\/div>$/, '');
+    if (truncated && !flags.includes('noreadmore')) html += `<p class="include_readmore">${pageLink('Read more...')}</p>`;
+    return `<div class="plugin_include_content plugin_include__${this.escapeEntities(id.replace(/:/g, '__'))}" data-include="${this.escapeEntities(id)}">${html}</div>`;
+  }
+  rssParams(value) {
+    const [url = '', ...flags] = value.trim().split(/\s+/);
+    const params = { url, max: 8, reverse: false, author: false, date: false, details: false, nosort: false, refresh: 4 * 60 * 60 };
+    flags.forEach(flag => {
+      let match;
+      if (/^\d+$/.test(flag)) params.max = parseInt(flag, 10);
+      else if ((match = flag.match(/^(\d+)([dhm])$/))) params.refresh = Math.max(600, parseInt(match[1], 10) * { d: 86400, h: 3600, m: 60 }[match[2]]);
+      else if (flag === 'description') params.details = true;
+      else if (['reverse', 'author', 'date', 'nosort'].includes(flag)) params[flag] = true;
+    });
+    return params;
+  }
+  rssHtml(value) {
+    const params = this.rssParams(value);
+    const attr = (text) => this.escapeEntities(String(text));
+    let feed = null;
+    try {
+      feed = this.feedProvider ? this.feedProvider(params.url, params) : null;
+    } catch (e) {
+      feed = null;
+    }
+    if (!feed || !Array.isArray(feed.items)) {
+      const link = this.isSafeUrl(params.url) ? `<a href="${attr(params.url)}" class="urlextern" rel="nofollow">${attr(params.url)}</a>` : attr(params.url);
+      return `<ul class="rss"><li><div class="li"><em>An error occurred while fetching this feed: </em>${link}</div></li></ul>`;
+    }
+    let items = feed.items.slice();
+    if (!params.nosort) items.sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0));
+    if (params.reverse) items.reverse();
+    items = items.slice(0, params.max);
+    if (!items.length) return '<ul class="rss"><li><div class="li"><em>This feed contains no items.</em></div></li></ul>';
+    const html = items.map(item => {
+      const title = attr(item.title || item.link || '');
+      let entry = item.link && this.isSafeUrl(item.link) ? `<a href="${attr(item.link)}" class="urlextern" rel="nofollow">${title}</a>` : title;
+      if (params.author && item.author) entry += ` by ${attr(item.author)}`;
+      if (params.date && item.date && !Number.isNaN(Date.parse(item.date))) entry += ` (${new Date(item.date).toISOString().slice(0, 16).replace('T', ' ')})`;
+      if (params.details && item.description) entry += `<div class="detail">${attr(this.decodeEntities(item.description.replace(/<[^>]*>/g, '')).trim())}</div>`;
+      return `<li class="level1"><div class="li">${entry}</div></li>`;
+    }).join('');
+    return `<ul class="rss">${html}</ul>`;
+  }
+  decodeEntities(content) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+    return content.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (match, dec, hex, name) => {
+      if (dec) return String.fromCodePoint(Number(dec));
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      return Object.prototype.hasOwnProperty.call(named, name.toLowerCase()) ? named[name.toLowerCase()] : match;
+    });
+  }
+  isSafeUrl(url) {
+    const normalized = this.decodeEntities(String(url)).replace(/[\u0000-\u0020\u007f-\u009f]+/g, '');
+    const scheme = normalized.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    return !scheme || this.allowedSchemes.includes(scheme[1].toLowerCase());
+  }
+  sanitizeHtml(html) {
+    const dropWithContent = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select', 'title', 'svg', 'math', 'frameset', 'frame', 'applet', 'xmp', 'plaintext'];
+    const voidTags = ['br', 'hr', 'img', 'source', 'wbr'];
+    const tagAttributes = {
+      a: ['href', 'name', 'rel', 'download'],
+      img: ['src', 'alt', 'width', 'height', 'loading'],
+      video: ['width', 'height', 'controls', 'poster', 'preload'],
+      audio: ['controls', 'preload'],
+      source: ['src', 'type'],
+      iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'loading', 'referrerpolicy'],
+      td: ['colspan', 'rowspan', 'align'],
+      th: ['colspan', 'rowspan', 'align', 'scope'],
+      ol: ['start', 'type'],
+      abbr: [],
+      acronym: []
+    };
+    const globalAttributes = ['class', 'id', 'title', 'lang', 'dir'];
+    const allowedTags = ['a', 'abbr', 'acronym', 'audio', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'source', 'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt', 'u', 'ul', 'var', 'video', 'wbr'];
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[!?][^>]*>?|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    let output = '';
+    let last = 0;
+    let match;
+    while ((match = tagPattern.exec(html)) !== null) {
+      output += html.slice(last, match.index).replace(/</g, '&lt;');
+      last = tagPattern.lastIndex;
+      const [, closing, rawName, rawAttrs] = match;
+      if (!rawName) continue;
+      const name = rawName.toLowerCase();
+      // Frames are only kept when their source starts with one of the allowedFrames prefixes (media plugins)
+      const frameSrc = name === 'iframe' && !closing ? this.decodeEntities((rawAttrs.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)')/i) || []).slice(1).find(value => value !== undefined) || '') : null;
+      const frame = frameSrc && this.isSafeUrl(frameSrc) && this.allowedFrames.some(prefix => frameSrc.startsWith(prefix));
+      if (dropWithContent.includes(name) && !frame) {
+        if (!closing) {
+          const end = html.toLowerCase().indexOf(`</${name}`, last);
+          const endTag = end === -1 ? -1 : html.indexOf('>', end);
+          last = tagPattern.lastIndex = endTag === -1 ? html.length : endTag + 1;
+        }
+        continue;
+      }
+      if (!allowedTags.includes(name) && !frame) continue;
+      if (closing) {
+        if (!voidTags.includes(name)) output += `</${name}>`;
+        continue;
+      }
+      let attrs = '';
+      const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+      let attrMatch;
+      while ((attrMatch = attrPattern.exec(rawAttrs)) !== null) {
+        const attrName = attrMatch[1].toLowerCase();
+        const value = this.decodeEntities(attrMatch[2] ?? attrMatch[3] ?? attrMatch[4] ?? '');
+        const allowed = globalAttributes.includes(attrName) || (tagAttributes[name] || []).includes(attrName) || /^data-[a-z0-9-]+$/.test(attrName);
+        if (!allowed) continue;
+        if (['href', 'src', 'poster'].includes(attrName) && !this.isSafeUrl(value)) continue;
+        attrs += ` ${attrName}="${this.escapeEntities(value)}"`;
+      }
+      if (frame) {
+        const end = html.toLowerCase().indexOf('</iframe', last);
+        const endTag = end === -1 ? -1 : html.indexOf('>', end);
+        last = tagPattern.lastIndex = endTag === -1 ? html.length : endTag + 1;
+        output += `<iframe${attrs}></iframe>`;
+        continue;
+      }
+      output += voidTags.includes(name) ? `<${name}${attrs} />` : `<${name}${attrs}>`;
+    }
+    output += html.slice(last).replace(/</g, '&lt;');
+    return output;
+  }
   parse(doku) {
-    let result = [];
-    let lines = doku.split('\n');
-    let tableLines = [];
-    let quoteLevel = 0;
-    let paragraphBuffer = [];
-    let inCodeBlock = false;
-    let codeBlockBuffer = [];
-    let inPre = false;
-    let preBuffer = [];
-    let codeLang = 'code';
-    let inTable = false;
-    let inCodeSection = false;
-    let codeBlockIndent = -1;
-    let inHtml = false;
-    let htmlBuffer = [];
-    let htmlTag = '';
-    let inPhp = false;
-    let phpBuffer = [];
-    let phpTag = '';
-    let outerCodeLang = null;
-    this.footnotes = [];
-    this.footnoteContent = new Map();
-    this.linkPlaceholders = [];
-    this.nowikiPlaceholders = [];
-    this.listStack = [];
-    this.currentIndent = -1;
-    this.currentType = null;
+    this.diagnostics = this.lintOnParse && !this.rootParser ? this.lint(doku) : [];
+    return this.render(doku);
+  }
+  parseToAST(doku) {
+    const lines = doku.split('\n');
+    this.astLineStarts = [];
+    let offset = 0;
+    lines.forEach(line => {
+      this.astLineStarts.push(offset);
+      offset += line.length + 1;
+    });
     this.currentSectionLevel = 0;
-    this.currentSection = '';
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      let trimmed = line.trim();
+    this.inlineModeList = null;
+    this.headings = this.rootParser ? this.rootParser.headings : [];
+    this.headingIds = this.rootParser ? this.rootParser.headingIds : new Map();
+    this.noToc = false;
+    this.codeBlocks = [];
+    const lineEnd = (n) => this.astLineStarts[n] + lines[n].length;
+    // Lines inside a code block or noformat span opened mid-line belong to the block that line starts
+    const continued = new Set();
+    const spanPattern = /<(code|file)\b[^>]*>[\s\S]*?<\/\1>|<(html|HTML|php|PHP)>[\s\S]*?<\/\2>|<nowiki>[\s\S]*?<\/nowiki>|%%[\s\S]*?%%/g;
+    let span;
+    while ((span = spanPattern.exec(doku))) {
+      const last = this.astLine(span.index + span[0].length - 1);
+      for (let n = this.astLine(span.index) + 1; n <= last; n++) continued.add(n);
+    }
+    const root = { type: 'document', children: [], position: this.astPosition(0, doku.length) };
+    const sections = [root];
+    const append = (node) => sections[sections.length - 1].children.push(node);
+    let paraStart = -1;
+    let paraEnd = -1;
+    const closeParagraph = () => {
+      if (paraStart === -1) return;
+      const start = this.astLineStarts[paraStart];
+      const end = lineEnd(paraEnd);
+      append({ type: 'paragraph', children: this.parseInline(doku.slice(start, end), start), position: this.astPosition(start, end) });
+      paraStart = -1;
+    };
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const trimmed = line.trim();
+      const start = this.astLineStarts[i];
+      let match;
+      if (continued.has(i) && paraStart !== -1) {
+        paraEnd = i;
+        i++;
+        continue;
+      }
       if (!trimmed) {
-        if (inHtml) {
-          htmlBuffer.push('');
-          continue;
-        }
-        if (inPhp) {
-          phpBuffer.push('');
-          continue;
-        }
-        if (inTable) {
-          const tableHtml = tableParser({ lines: tableLines, inCode: inCodeSection && codeBlockIndent >= 2, nestedParse: (text) => this.replacePlaceholders(this.applyRules(text)) });
-          if (tableHtml.trim()) result.push(tableHtml);
-          inTable = false;
-          tableLines = [];
-          codeBlockIndent = -1;
-        } else if (inCodeBlock) {
-          codeBlockBuffer.push(line);
-          continue;
-        } else if (inPre) {
-          preBuffer.push(line);
-          continue;
-        } else if (quoteLevel > 0 || paragraphBuffer.length > 0 || this.listStack.length > 0) {
-          if (i + 1 >= lines.length || !lines[i + 1].match(/^ {2,}[* -]\s/)) {
-            this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-            quoteLevel = 0;
-          }
-        }
+        closeParagraph();
+        i++;
         continue;
       }
-      const leadingSpaces = line.match(/^(\s*)/)[1];
-      const indent = leadingSpaces.length;
-      if (inHtml) {
-        if (trimmed.endsWith(`</${htmlTag}>`)) {
-          const endTag = `</${htmlTag}>`;
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag));
-          htmlBuffer.push(beforeClose);
-          const htmlContent = htmlBuffer.join('\n');
-          if (this.htmlok) {
-            result.push(htmlContent);
-          } else {
-            const content = htmlContent.trim();
-            if (content) result.push(`<pre class="code html">${this.escapeEntities(content)}</pre>`);
-          }
-          inHtml = false;
-          htmlBuffer = [];
-          htmlTag = '';
-        } else {
-          htmlBuffer.push(line);
+      const pluginBlock = line.match(/^ {0,1}\S/) ? this.blockPluginAt(lines, i) : null;
+      if (pluginBlock) {
+        closeParagraph();
+        const end = lineEnd(pluginBlock.endLine);
+        const node = { type: 'plugin', name: pluginBlock.plugin.name, block: true, match: pluginBlock.match, value: pluginBlock.content, children: [], position: this.astPosition(start, end) };
+        if (pluginBlock.content !== null) {
+          const child = this.childParser();
+          node.children = child.parseToAST(pluginBlock.content).children;
+          const lineDelta = i + 1;
+          const offsetDelta = this.astLineStarts[i + 1] ?? doku.length;
+          node.children.forEach(childNode => visitAST(childNode, (descendant) => {
+            if (!descendant.position) return;
+            ['start', 'end'].forEach(key => {
+              descendant.position[key].line += lineDelta;
+              descendant.position[key].offset += offsetDelta;
+            });
+          }));
         }
+        append(node);
+        i = pluginBlock.endLine + 1;
         continue;
       }
-      if (inPhp) {
-        if (trimmed.endsWith(`</${phpTag}>`)) {
-          const endTag = `</${phpTag}>`;
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag));
-          phpBuffer.push(beforeClose);
-          const phpContent = phpBuffer.join('\n');
-          const content = phpContent.trim();
-          if (content) result.push(`<pre class="code php">${this.escapeEntities(content)}</pre>`);
-          inPhp = false;
-          phpBuffer = [];
-          phpTag = '';
-        } else {
-          phpBuffer.push(line);
-        }
+      // Indented lines are preformatted text, whatever markup they start with
+      const indented = /^(?: {2,}|\t)/.test(line);
+      if (!indented && (match = trimmed.match(/^<(code|file)\b([^>]*)>/))) {
+        closeParagraph();
+        const openEnd = start + line.indexOf('<' + match[1]) + match[0].length;
+        const closeTag = `</${match[1]}>`;
+        let closeIdx = doku.indexOf(closeTag, openEnd);
+        const end = closeIdx === -1 ? doku.length : closeIdx + closeTag.length;
+        if (closeIdx === -1) closeIdx = doku.length;
+        const value = doku.slice(openEnd, closeIdx).replace(/^[ \t]*\n/, '').replace(/\n[ \t]*$/, '');
+        append({ type: 'code', kind: match[1], ...this.codeTagArgs(match[2]), value, position: this.astPosition(start + line.indexOf('<' + match[1]), end) });
+        i = this.astLine(end - 1) + 1;
         continue;
       }
-      if (trimmed.match(/^<(html|HTML|php|PHP)>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        const match = trimmed.match(/^<(html|HTML|php|PHP)>/i);
-        const tag = match[1].toLowerCase();
-        const isUpper = match[1] === match[1].toUpperCase();
-        const startIdx = line.indexOf(`<${match[1]}>`);
-        const contentAfter = line.substring(startIdx + match[0].length).trim();
-        if (tag === 'html') {
-          inHtml = true;
-          htmlTag = isUpper ? 'HTML' : 'html';
-          htmlBuffer = [contentAfter];
-        } else if (tag === 'php') {
-          inPhp = true;
-          phpTag = isUpper ? 'PHP' : 'php';
-          phpBuffer = [contentAfter];
-        }
-        if (line.includes(`</${match[1]}>`)) {
-          const endTag = `</${match[1]}>`;
-          const beforeClose = contentAfter.substring(0, contentAfter.lastIndexOf(endTag));
-          if (tag === 'html') {
-            htmlBuffer[0] = beforeClose;
-            const htmlContent = htmlBuffer.join('\n');
-            if (this.htmlok) {
-              result.push(htmlContent);
-            } else {
-              const content = htmlContent.trim();
-              if (content) result.push(`<pre class="code html">${this.escapeEntities(content)}</pre>`);
-            }
-            inHtml = false;
-            htmlBuffer = [];
-            htmlTag = '';
-          } else if (tag === 'php') {
-            phpBuffer[0] = beforeClose;
-            const phpContent = phpBuffer.join('\n');
-            const content = phpContent.trim();
-            if (content) result.push(`<pre class="code php">${this.escapeEntities(content)}</pre>`);
-            inPhp = false;
-            phpBuffer = [];
-            phpTag = '';
-          }
-        }
+      if (!indented && (match = trimmed.match(/^<(html|HTML|php|PHP)>/))) {
+        closeParagraph();
+        const openEnd = start + line.indexOf(match[0]) + match[0].length;
+        const closeTag = `</${match[1]}>`;
+        let closeIdx = doku.indexOf(closeTag, openEnd);
+        const end = closeIdx === -1 ? doku.length : closeIdx + closeTag.length;
+        if (closeIdx === -1) closeIdx = doku.length;
+        append({ type: match[1].toLowerCase(), block: true, value: doku.slice(openEnd, closeIdx).trim(), position: this.astPosition(start + line.indexOf(match[0]), end) });
+        i = this.astLine(end - 1) + 1;
         continue;
       }
-      if (!inTable && trimmed.match(/^\s{0,1}[\^|]/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        inTable = true;
-        tableLines = [line];
-        codeBlockIndent = indent;
+      if (!indented && (match = trimmed.match(/^(={2,6})(.+?)={2,6}$/))) {
+        closeParagraph();
+        const level = 7 - match[1].length;
+        const titleStart = start + line.indexOf(match[2]);
+        const title = this.parseInline(match[2].trim(), titleStart + match[2].search(/\S/));
+        const text = astText({ children: title });
+        const id = this.uniqueHeadingId(this.sectionId(text));
+        // Headings carry escaped plain text: the TOC and the reader's outline insert it as HTML
+        this.headings.push({ level, id, title: this.escapeEntities(text.trim()) });
+        while (sections.length > 1 && sections[sections.length - 1].level >= level) sections.pop();
+        const section = { type: 'section', level, id, title, children: [], position: this.astPosition(start, lineEnd(i)) };
+        append(section);
+        sections.push(section);
+        this.currentSectionLevel = level;
+        i++;
         continue;
       }
-      if (inTable) {
-        if (!trimmed.match(/^\s{0,1}[\^|]/)) {
-          const tableHtml = tableParser({ lines: tableLines, inCode: inCodeSection && codeBlockIndent >= 2, nestedParse: (text) => this.replacePlaceholders(this.applyRules(text)) });
-          if (tableHtml.trim()) result.push(tableHtml);
-          inTable = false;
-          tableLines = [];
-          codeBlockIndent = -1;
-        } else {
-          tableLines.push(line);
-          continue;
-        }
+      if (!indented && trimmed.match(/^-{4,}$/)) {
+        closeParagraph();
+        append({ type: 'hr', position: this.astPosition(start, lineEnd(i)) });
+        i++;
+        continue;
       }
-      if (trimmed.match(/^<code(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        outerCodeLang = inCodeBlock ? outerCodeLang : 'code';
-        inCodeBlock = true;
-        inCodeSection = this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        codeBlockBuffer = [];
-        const match = trimmed.match(/^<code(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/);
-        codeLang = match[1] ? `code ${match[1]}` : 'code';
-        codeBlockIndent = indent;
-        const startIdx = line.indexOf('<code');
-        const contentAfter = line.substring(startIdx + match[0].length).trim();
-        if (contentAfter) codeBlockBuffer.push(contentAfter);
-        if (line.includes('</code>')) {
-          const endTag = '</code>';
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag)).trim();
-          if (beforeClose) codeBlockBuffer.push(beforeClose);
-          const fullContent = codeBlockBuffer.join('\n');
-          if (fullContent.trim()) {
-            result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
-          }
-          inCodeBlock = false;
-          codeBlockBuffer = [];
-          codeLang = '';
-          inCodeSection = false;
-          codeBlockIndent = -1;
-          outerCodeLang = null;
-        }
+      if (line.match(/^\s?[\^|]/)) {
+        closeParagraph();
+        let last = i;
+        while (last + 1 < lines.length && (continued.has(last + 1) || lines[last + 1].match(/^\s?[\^|]/))) last++;
+        append(this.tableNode(lines, i, last, continued));
+        i = last + 1;
         continue;
-      } else if (trimmed.match(/^<file(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        outerCodeLang = inCodeBlock ? outerCodeLang : 'file';
-        inCodeBlock = true;
-        inCodeSection = this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        codeBlockBuffer = [];
-        const match = trimmed.match(/^<file(?:\s+([^\s>]+))?(?:\s+([^\s>]+))?\s*>/);
-        codeLang = match[1] ? `file ${match[1]}` : 'file';
-        codeBlockIndent = indent;
-        const startIdx = line.indexOf('<file');
-        const contentAfter = line.substring(startIdx + match[0].length).trim();
-        if (contentAfter) codeBlockBuffer.push(contentAfter);
-        if (line.includes('</file>')) {
-          const endTag = '</file>';
-          const beforeClose = line.substring(0, line.lastIndexOf(endTag)).trim();
-          if (beforeClose) codeBlockBuffer.push(beforeClose);
-          const fullContent = codeBlockBuffer.join('\n');
-          if (fullContent.trim()) {
-            result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
-          }
-          inCodeBlock = false;
-          codeBlockBuffer = [];
-          codeLang = '';
-          inCodeSection = false;
-          codeBlockIndent = -1;
-          outerCodeLang = null;
-        }
+      }
+      if (line.match(/^(?: {2,}|\t+)[*-]\s/)) {
+        closeParagraph();
+        let last = i;
+        while (last + 1 < lines.length && (continued.has(last + 1) || lines[last + 1].match(/^(?: {2,}|\t+)[*-]\s/))) last++;
+        this.listNodes(lines, i, last, continued).forEach(append);
+        i = last + 1;
         continue;
-      } else if (inCodeBlock && (trimmed.endsWith('</code>') || trimmed.endsWith('</file>'))) {
-        const endTag = trimmed.endsWith('</code>') ? '</code>' : '</file>';
-        const beforeClose = line.substring(0, line.lastIndexOf(endTag)).trim();
-        if (beforeClose) codeBlockBuffer.push(beforeClose);
-        const fullContent = codeBlockBuffer.join('\n');
-        if (fullContent.trim()) {
-          result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
-        }
-        inCodeBlock = false;
-        codeBlockBuffer = [];
-        codeLang = outerCodeLang || 'code';
-        outerCodeLang = null;
-        inCodeSection = false;
-        codeBlockIndent = -1;
+      }
+      if (line.match(/^>/)) {
+        closeParagraph();
+        let last = i;
+        while (last + 1 < lines.length && lines[last + 1].match(/^>/)) last++;
+        append(this.quoteNode(lines, i, last));
+        i = last + 1;
         continue;
-      } else if (inCodeBlock) {
-        codeBlockBuffer.push(line);
+      }
+      if (indented) {
+        closeParagraph();
+        let last = i;
+        while (last + 1 < lines.length && lines[last + 1].match(/^(?: {2,}|\t)\S/) && !lines[last + 1].match(/^(?: {2,}|\t+)[*-]\s/)) last++;
+        const value = lines.slice(i, last + 1).map(l => l.replace(/^(?: {2}|\t)/, '')).join('\n');
+        append({ type: 'code', kind: 'preformatted', lang: null, filename: null, value, position: this.astPosition(start, lineEnd(last)) });
+        i = last + 1;
         continue;
       }
-      if (indent >= 2 && !inCodeBlock && !inTable && line.match(/^ {2,}[* -]\s/)) {
-        const match = line.match(/^ {2,}([* -])\s(.*)/);
-        if (match) {
-          const typeChar = match[1];
-          let content = match[2].trim();
-          content = content.replace(/\\\\\s*$/, '');
-          content = content.replace(/\\\\\s+/g, '<br />');
-          content = inCodeSection ? this.escapeEntities(content) : this.replacePlaceholders(this.applyRules(content));
-          const listType = typeChar === '*' ? 'ul' : 'ol';
-          const depth = Math.floor((indent - 2) / 2) + 1;
-          while (this.currentIndent > depth && this.listStack.length > 0) {
-            result.push('</li>');
-            result.push(`</${this.listStack.pop().type}>`);
-            this.currentIndent = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].indent : -1;
-            this.currentType = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].type : null;
-          }
-          if (this.currentIndent === -1 || depth > this.currentIndent) {
-            result.push(`<${listType}>`);
-            this.listStack.push({ type: listType, indent: depth });
-            this.currentType = listType;
-            this.currentIndent = depth;
-          } else if (depth === this.currentIndent && this.currentType !== listType) {
-            result.push('</li>');
-            result.push(`</${this.listStack.pop().type}>`);
-            result.push(`<${listType}>`);
-            this.listStack.push({ type: listType, indent: depth });
-            this.currentType = listType;
-          } else if (depth === this.currentIndent) {
-            result.push('</li>');
-          }
-          result.push(`<li class="level${depth}"><div class="li">${content || ''}</div>`);
-          if (i + 1 < lines.length) {
-            const nextLine = lines[i + 1];
-            const nextIndent = nextLine.match(/^(\s*)/)[1].length;
-            const nextDepth = Math.floor((nextIndent - 2) / 2) + 1;
-            if (nextLine.match(/^ {2,}[* -]\s/) && nextIndent >= indent) {
-              continue;
-            } else {
-              result.push('</li>');
-              if (nextIndent < 2 || nextDepth < depth) {
-                while (this.listStack.length > 0 && this.currentIndent > (nextLine.trim() ? nextDepth : -1)) {
-                  result.push(`</${this.listStack.pop().type}>`);
-                  this.currentIndent = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].indent : -1;
-                  this.currentType = this.listStack.length > 0 ? this.listStack[this.listStack.length - 1].type : null;
-                }
-              }
-            }
-          } else {
-            result.push('</li>');
-            while (this.listStack.length > 0) {
-              result.push(`</${this.listStack.pop().type}>`);
-              this.currentIndent = -1;
-              this.currentType = null;
-            }
-          }
+      if (paraStart === -1) paraStart = i;
+      paraEnd = i;
+      i++;
+    }
+    closeParagraph();
+    return root;
+  }
+  tableNode(lines, first, last, continued) {
+    const rowLines = [];
+    for (let n = first; n <= last; n++) {
+      if (n > first && continued.has(n)) rowLines[rowLines.length - 1].text += `\n${lines[n]}`;
+      else rowLines.push({ line: n, text: lines[n] });
+    }
+    const rows = tableRows(rowLines.map(row => row.text));
+    const maxCols = rows.length ? rows[0].length : 0;
+    const children = rows.map((row, r) => {
+      const start = this.astLineStarts[rowLines[r].line];
+      const cells = [];
+      let column = 0;
+      for (let c = 0; c < maxCols; c++) {
+        const cell = row[c];
+        if (!cell || cell.skip) {
+          column += cell?.isColspanSkip ? 0 : (cell?.skipWidth || 1);
           continue;
         }
+        const cellStart = start + cell.offset;
+        cells.push({
+          type: 'tableCell',
+          header: cell.type === 'th',
+          align: cell.align ? cell.align.replace(/align$/, '') : null,
+          colspan: cell.colspan,
+          rowspan: cell.rowspan,
+          column,
+          children: this.parseInline(cell.content, cellStart),
+          position: this.astPosition(cellStart, cellStart + cell.content.length)
+        });
+        column += cell.colspan;
       }
-      if (indent >= 2 && !inCodeBlock && !inTable && !line.match(/^ {2,}[* -]\s/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        inPre = true;
-        inCodeSection = this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        preBuffer = [line];
-        codeBlockIndent = indent;
-        continue;
+      return { type: 'tableRow', children: cells, position: this.astPosition(start, start + rowLines[r].text.length) };
+    });
+    return { type: 'table', children, position: this.astPosition(this.astLineStarts[first], this.astLineStarts[last] + lines[last].length) };
+  }
+  listNodes(lines, first, last, continued) {
+    const lists = [];
+    const stack = [];
+    for (let n = first; n <= last; n++) {
+      if (n > first && continued.has(n)) continue;
+      let end = n;
+      while (end < last && continued.has(end + 1)) end++;
+      const text = lines.slice(n, end + 1).join('\n');
+      const match = text.match(/^((?: {2,}|\t+))([*-])\s([\s\S]*)$/);
+      const indent = match[1].replace(/\t/g, '  ').length;
+      const depth = Math.floor((indent - 2) / 2) + 1;
+      const ordered = match[2] === '-';
+      const start = this.astLineStarts[n];
+      const contentStart = start + match[1].length + 2;
+      while (stack.length && stack[stack.length - 1].depth > depth) stack.pop();
+      let top = stack[stack.length - 1];
+      if (top && top.depth === depth && top.list.ordered !== ordered) {
+        stack.pop();
+        top = stack[stack.length - 1];
       }
-      if (inPre) {
-        if (indent >= codeBlockIndent && trimmed && !line.match(/^(?:>|={2,6}.*={2,6}|[\^|]|-{4,}| {2,}[* -]\s)/)) {
-          preBuffer.push(line);
-          continue;
+      if (!top || top.depth < depth) {
+        const list = { type: 'list', ordered, depth, children: [], position: this.astPosition(start, start + text.length) };
+        if (top && top.list.children.length) {
+          top.list.children[top.list.children.length - 1].children.push(list);
         } else {
-          let preContent = preBuffer.map(l => l.replace(/^ {2,}/, '')).join('\n');
-          const fullContent = preContent;
-          if (fullContent.trim()) {
-            result.push(`<pre class="code">${this.escapeEntities(fullContent)}</pre>`);
-          }
-          inPre = false;
-          preBuffer = [];
-          inCodeSection = false;
-          codeBlockIndent = -1;
+          lists.push(list);
         }
+        stack.push({ depth, list });
+        top = stack[stack.length - 1];
       }
-      if (i === lines.length - 1 && inPre) {
-        let preContent = preBuffer.map(l => l.replace(/^ {2,}/, '')).join('\n');
-        const fullContent = preContent;
-        if (fullContent.trim()) {
-          result.push(`<pre class="code">${this.escapeEntities(fullContent)}</pre>`);
+      const item = { type: 'listItem', depth, children: this.parseInline(match[3].trimEnd(), contentStart), position: this.astPosition(start, start + text.length) };
+      top.list.children.push(item);
+      stack.forEach(entry => { entry.list.position.end = item.position.end; });
+    }
+    return lists;
+  }
+  quoteNode(lines, first, last) {
+    const root = { type: 'quote', children: [], position: this.astPosition(this.astLineStarts[first], this.astLineStarts[last] + lines[last].length) };
+    let previousLevel = 0;
+    for (let n = first; n <= last; n++) {
+      const match = lines[n].match(/^(>+)\s*(.*)$/);
+      const level = match[1].length;
+      const start = this.astLineStarts[n];
+      const contentStart = start + lines[n].indexOf(match[2], match[1].length);
+      let quote = root;
+      for (let l = 1; l < level; l++) {
+        let child = quote.children[quote.children.length - 1];
+        if (!child || child.type !== 'quote') {
+          child = { type: 'quote', children: [], position: this.astPosition(start, start + lines[n].length) };
+          quote.children.push(child);
         }
-        inPre = false;
-        inCodeSection = false;
-        codeBlockIndent = -1;
-        continue;
+        child.position.end = this.astPosition(start, start + lines[n].length).end;
+        quote = child;
       }
-      const quoteMatch = line.match(/^(>+)\s*(.*)/);
-      if (quoteMatch) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        const newLevel = quoteMatch[1].length;
-        const content = quoteMatch[2];
-        let formattedContent = content.trim();
-        formattedContent = formattedContent.replace(/\\\\\s*$/, '');
-        formattedContent = formattedContent.replace(/\\\\\s+/g, '<br />');
-        formattedContent = inCodeSection ? this.escapeEntities(formattedContent) : this.replacePlaceholders(this.applyRules(formattedContent));
-        while (quoteLevel > newLevel) {
-          result.push('</div></blockquote>');
-          quoteLevel--;
-        }
-        while (quoteLevel < newLevel) {
-          result.push('<blockquote><div class="no">');
-          quoteLevel++;
-        }
-        if (formattedContent) {
-          result.push(formattedContent);
-        }
-        if (i === lines.length - 1 && quoteLevel > 0) {
-          while (quoteLevel > 0) {
-            result.push('</div></blockquote>');
-            quoteLevel--;
+      const inline = this.parseInline(match[2], contentStart);
+      const previous = quote.children[quote.children.length - 1];
+      if (previous && previous.type === 'paragraph' && previousLevel === level) {
+        previous.children.push({ type: 'linebreak', position: this.astPosition(start - 1, start) }, ...inline);
+        previous.position.end = this.astPosition(start, start + lines[n].length).end;
+      } else {
+        quote.children.push({ type: 'paragraph', children: inline, position: this.astPosition(start, start + lines[n].length) });
+      }
+      previousLevel = level;
+    }
+    return root;
+  }
+  astLine(offset) {
+    let low = 0;
+    let high = this.astLineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.astLineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+  astPosition(start, end) {
+    const point = (offset) => {
+      const line = this.astLine(offset);
+      return { line: line + 1, column: offset - this.astLineStarts[line] + 1, offset };
+    };
+    return { start: point(start), end: point(end) };
+  }
+  inlineModes() {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const formatting = (type, open, close) => ({
+      pattern: new RegExp(`${escape(open)}([\\s\\S]+?)${escape(close)}`, 'y'),
+      node: (m, start) => ({ type, children: this.parseInline(m[1], start + open.length) })
+    });
+    const stage = (sort, modes) => modes.map(mode => ({ sort, ...mode }));
+    // Modes are tried in stage order at each position; plugins run after the built-in modes of their own stage
+    return [
+      ...stage(RULE_PRIORITY.CONTROL, [
+        { pattern: /<nowiki>([\s\S]*?)<\/nowiki>/y, node: (m) => ({ type: 'unformatted', value: m[1] }) },
+        { pattern: /%%([\s\S]*?)%%/y, node: (m) => ({ type: 'unformatted', value: m[1] }) },
+        { pattern: /<(code|file)\b([^>]*)>([\s\S]*?)<\/\1>/y, node: (m) => ({ type: 'code', kind: m[1], ...this.codeTagArgs(m[2]), value: m[3].replace(/^[ \t]*\n/, '').replace(/\n[ \t]*$/, '') }) },
+        {
+          pattern: /~~([A-Z]+(?::\w+)?)~~/y,
+          node: (m) => {
+            if (m[1] === 'NOTOC') this.noToc = true;
+            return { type: 'macro', name: m[1] };
           }
         }
-        continue;
-      } else if (quoteLevel > 0) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        quoteLevel = 0;
-      }
-      if (trimmed.match(/^={2,6}.*={2,6}$/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        const equals = trimmed.match(/^={2,6}/)[0];
-        const equalsCount = equals.length;
-        let content = trimmed.replace(/^={2,6}/, '').replace(/={2,6}$/, '').trim();
-        content = this.replacePlaceholders(this.applyRules(content));
-        const level = 7 - equalsCount;
-        const id = content.toLowerCase().replace(/[^a-z0-9]/g, '_').replace(/_+ /g, '_').replace(/^_|_$/g, '');
-        const sectionEditNum = level;
-        result.push(`<h${level} class="sectionedit${sectionEditNum}" id="${id}">${content}</h${level}>`);
-        this.currentSectionLevel = level;
-        this.currentSection = content;
-        inCodeSection = content.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i);
-        continue;
+      ]),
+      ...stage(RULE_PRIORITY.LINKS, [
+        { pattern: /\[\[([^\]|]*?)(?:\|([\s\S]*?))?\]\]/y, node: (m, start) => this.linkNode(m[1], m[2], start + m[1].length + 3) },
+        { pattern: /\{\{(page|section)>([^}]*)\}\}/y, node: (m) => ({ type: 'include', kind: m[1], value: m[2], ...this.includeArgs(m[2]), level: this.currentSectionLevel }) },
+        { pattern: /(?:https?|ftp):\/\/[^\s<>\[\]]*[^\s<>\[\].,;:!?)'"]|www\.[^\s<>\[\]]*[^\s<>\[\].,;:!?)'"]/y, boundary: true, node: (m) => ({ type: 'link', linkType: 'external', bare: true, target: m[0], url: m[0].startsWith('www.') ? `http://${m[0]}` : m[0], children: [] }) },
+        { pattern: /<([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})>/y, node: (m) => ({ type: 'link', linkType: 'email', target: m[1], url: `mailto:${m[1]}`, children: [] }) }
+      ]),
+      ...stage(RULE_PRIORITY.MEDIA, [
+        { pattern: /\{\{rss>([\s\S]*?)\}\}/y, node: (m) => ({ type: 'macro', name: 'rss', value: m[1], feed: this.rssParams(m[1]) }) },
+        { pattern: /\{\{([^}]*?)\}\}/y, node: (m) => this.mediaNode(m[1]) }
+      ]),
+      ...stage(RULE_PRIORITY.FORMATTING, [
+        { pattern: /\(\(([\s\S]+?)\)\)/y, node: (m, start) => ({ type: 'footnote', children: this.parseInline(m[1], start + 2) }) },
+        formatting('strong', '**', '**'),
+        formatting('emphasis', '//', '//'),
+        formatting('underline', '__', '__'),
+        formatting('monospace', "''", "''"),
+        formatting('subscript', '<sub>', '</sub>'),
+        formatting('superscript', '<sup>', '</sup>'),
+        formatting('deleted', '<del>', '</del>'),
+        { pattern: /\\\\(?=\s|$)/y, node: () => ({ type: 'linebreak' }) }
+      ]),
+      ...stage(RULE_PRIORITY.HTML, [
+        { pattern: /<(html|HTML)>([\s\S]*?)<\/\1>/y, node: (m) => ({ type: 'html', block: false, value: m[2] }) },
+        { pattern: /<(php|PHP)>([\s\S]*?)<\/\1>/y, node: (m) => ({ type: 'php', block: false, value: m[2] }) }
+      ]),
+      ...stage(RULE_PRIORITY.TYPOGRAPHY, [
+        ...(this.typography ? [
+          { pattern: new RegExp(`(?:${Object.keys(this.entityMap).sort((a, b) => b.length - a.length).map(escape).join('|')})(?=\\s)`, 'y'), boundary: true, node: (m) => ({ type: 'entity', text: m[0], value: this.entityMap[m[0]] }) },
+          ...(Object.keys(this.textEntities).length ? [{
+            pattern: new RegExp(Object.keys(this.textEntities).sort((a, b) => b.length - a.length).map(escape).join('|'), 'iy'),
+            node: (m) => ({ type: 'entity', text: m[0], value: Object.entries(this.textEntities).find(([text]) => text.toLowerCase() === m[0].toLowerCase())[1] })
+          }] : []),
+          { pattern: /(?<=\d)x(?=\d)/y, node: (m) => ({ type: 'entity', text: m[0], value: '&times;' }) }
+        ] : []),
+        ...(Object.keys(this.acronyms).length ? [{ pattern: this.acronymPattern('y'), node: (m) => ({ type: 'acronym', text: m[0], title: this.acronyms[m[0]] }) }] : [])
+      ]),
+      ...stage(RULE_PRIORITY.SMILEYS, [
+        { pattern: new RegExp(Object.keys(this.smileyMap).map(escape).join('|'), 'y'), node: (m) => ({ type: 'smiley', text: m[0], icon: this.smileyMap[m[0]] }) }
+      ]),
+      ...syntaxPlugins('inline').map(plugin => ({
+        sort: plugin.priority,
+        pattern: new RegExp(plugin.pattern.source, `${plugin.pattern.flags.replace(/[gy]/g, '')}y`),
+        node: (m) => ({ type: 'plugin', name: plugin.name, block: false, match: [...m], value: m[0], children: [] })
+      }))
+    ].sort((a, b) => a.sort - b.sort);
+  }
+  parseInline(text, offset = 0) {
+    const modes = this.inlineModeList || (this.inlineModeList = this.inlineModes());
+    const nodes = [];
+    let textStart = 0;
+    const flushText = (end) => {
+      if (end > textStart) {
+        nodes.push({ type: 'text', value: text.slice(textStart, end), position: this.astPosition(offset + textStart, offset + end) });
       }
-      if (trimmed.match(/^-{4,}$/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        result.push('<hr />');
-        inCodeSection = false;
-        continue;
+    };
+    let i = 0;
+    while (i < text.length) {
+      let matched = null;
+      for (const mode of modes) {
+        if (mode.boundary && i > 0 && !/\s/.test(text[i - 1])) continue;
+        mode.pattern.lastIndex = i;
+        const m = mode.pattern.exec(text);
+        if (m && m[0].length) {
+          matched = { node: mode.node(m, offset + i), end: i + m[0].length };
+          break;
+        }
       }
-      if (trimmed.match(/^\s*\{\{[^}]+?\}\}/) && !trimmed.match(/^\s*\{\{rss>/)) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-        let content = this.replacePlaceholders(this.applyRules(line));
-        result.push(content);
+      if (!matched) {
+        i++;
         continue;
       }
-      let content = trimmed;
-      content = content.replace(/\\\\\s*$/, '');
-      content = content.replace(/\\\\\s+/g, '<br />');
-      content = inCodeSection ? this.escapeEntities(content) : this.replacePlaceholders(this.applyRules(content));
-      paragraphBuffer.push(content);
-      if (i === lines.length - 1) {
-        this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-      }
-    }
-    this.flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang);
-    if (inPre) {
-      let preContent = preBuffer.map(l => l.replace(/^ {2,}/, '')).join('\n');
-      const fullContent = preContent;
-      if (fullContent.trim()) {
-        result.push(`<pre class="code">${this.escapeEntities(fullContent)}</pre>`);
-      }
-    }
-    if (this.footnoteContent.size > 0) {
-      result.push('<div class="footnotes">');
-      Array.from(this.footnoteContent.entries()).forEach(([note, index]) => {
-        if (!note.trim()) return;
-        let formattedNote = this.replacePlaceholders(this.applyRules(note));
-        result.push(`<div class="fn"><sup><a href="#fnt__${index + 1}" id="fn__${index + 1}" class="fn_bot">[${index + 1})</a></sup> <div class="content">${formattedNote}</div></div>`);
-      });
-      result.push('</div>');
+      flushText(i);
+      matched.node.position = this.astPosition(offset + i, offset + matched.end);
+      nodes.push(matched.node);
+      i = matched.end;
+      textStart = i;
+    }
+    flushText(text.length);
+    return nodes;
+  }
+  linkNode(target, text, textOffset) {
+    const raw = target.trim();
+    // Links do not nest: a link inside the link text keeps only its text
+    const children = text === undefined ? [] : this.parseInline(text.trim(), textOffset + text.search(/\S|$/)).flatMap(child => {
+      if (child.type !== 'link') return [child];
+      return child.children.length ? child.children : [{ type: 'text', value: child.target, position: child.position }];
+    });
+    let match;
+    if ((match = raw.match(/^([a-zA-Z0-9.]+)>([^#]*)(?:#(.*))?$/))) {
+      const [, wiki, page, section = ''] = match;
+      return { type: 'link', linkType: 'interwiki', target: raw, wiki, page, section, url: this.interwikiUrl(wiki, page, section), children };
+    }
+    if (raw.match(/^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//)) {
+      return { type: 'link', linkType: 'external', target: raw, url: raw, children };
     }
-    let finalResult = result.join('\n');
-    finalResult = this.replacePlaceholders(finalResult);
-    if (finalResult.includes('[LINK_') || finalResult.includes('[MEDIA_') || finalResult.includes('[RSS_')) {
-      console.warn('Warning: Unresolved placeholders in output');
+    if (raw.startsWith('\\\\')) {
+      return { type: 'link', linkType: 'windowsshare', target: raw, url: `file:///${raw.replace(/\\/g, '/').replace(/^\/+/, '')}`, children };
     }
-    return `<div class="page group">${finalResult}</div>`;
+    if (raw.match(/^[\w.%+-]+@[\w.-]+\.[a-zA-Z]{2,}$/)) {
+      return { type: 'link', linkType: 'email', target: raw, url: `mailto:${raw}`, children };
+    }
+    const [page, section = ''] = raw.split('#');
+    const id = page.trim() ? this.resolveNamespace(page.trim()) : null;
+    return { type: 'link', linkType: 'internal', target: raw, page: page.trim(), section, id, exists: id ? this.linkTargetExists(id) : true, children };
+  }
+  mediaNode(inner) {
+    const pipe = inner.indexOf('|');
+    const ref = pipe === -1 ? inner : inner.slice(0, pipe);
+    const title = pipe === -1 ? '' : inner.slice(pipe + 1).trim();
+    const left = /^\s/.test(ref);
+    const right = /\s$/.test(ref);
+    let align = null;
+    if (left && right) align = 'center';
+    else if (left) align = 'right';
+    else if (right) align = 'left';
+    // Like DokuWiki, parameters follow the last question mark
+    const reference = ref.trim();
+    const mark = reference.lastIndexOf('?');
+    const src = mark === -1 ? reference : reference.slice(0, mark);
+    const query = mark === -1 ? '' : reference.slice(mark + 1);
+    const node = { type: 'media', src, external: /^https?:\/\//.test(src), id: null, align, width: null, height: null, linking: 'details', cache: 'cache', title };
+    if (!node.external) node.id = src.replace(/^:/, '').includes(':') ? src.replace(/^:/, '') : `${this.currentNamespace}:${src}`.replace(/^:/, '');
+    query.split('&').map(param => param.trim().toLowerCase()).forEach(param => {
+      const size = param.match(/^(\d+)(?:x(\d+))?$/);
+      if (size) {
+        node.width = Number(size[1]) || null;
+        node.height = size[2] ? Number(size[2]) || null : null;
+      } else if (['nolink', 'linkonly', 'direct', 'details'].includes(param)) {
+        node.linking = param;
+      } else if (['nocache', 'recache'].includes(param)) {
+        node.cache = param;
+      }
+    });
+    return node;
   }
-  replacePlaceholders(str) {
-    this.linkPlaceholders.forEach((link, index) => {
-      str = str.replace(new RegExp(`\\[(?:LINK|RSS|MEDIA)_${index}\\]`, 'g'), link);
+  lint(doku) {
+    const diagnostics = [];
+    const lineStarts = [0];
+    for (let i = doku.indexOf('\n'); i !== -1; i = doku.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+    const report = (severity, offset, message, code) => {
+      let line = lineStarts.length;
+      while (lineStarts[line - 1] > offset) line--;
+      diagnostics.push({ line, column: offset - lineStarts[line - 1] + 1, severity, message, code });
+    };
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    // Blank out verbatim regions so the checks below only see wiki markup, keeping offsets intact
+    let masked = '';
+    let maskedUpTo = 0;
+    let swallowedFrom = -1;
+    const blockPattern = /<(code|file|nowiki|html|php)\b[^>]*>|<\/(code|file|nowiki|html|php)>|%%/gi;
+    let match;
+    while ((match = blockPattern.exec(doku))) {
+      if (match[2]) {
+        report('warning', match.index, `Closing ${match[0]} without an opening tag`, 'stray-close');
+        continue;
+      }
+      const name = match[0] === '%%' ? '%%' : match[1].toLowerCase();
+      const closePattern = name === '%%' ? /%%/g : new RegExp(`</${name}>`, 'gi');
+      closePattern.lastIndex = blockPattern.lastIndex;
+      const close = closePattern.exec(doku);
+      if (close) {
+        const end = close.index + close[0].length;
+        if (swallowedFrom === -1) {
+          masked += doku.slice(maskedUpTo, match.index) + blank(doku.slice(match.index, end));
+          maskedUpTo = end;
+        }
+        blockPattern.lastIndex = end;
+      } else if (name === '%%') {
+        report('warning', match.index, 'Unmatched %% is shown literally', 'unclosed-block');
+      } else {
+        // Keep scanning past the opener so every unclosed block is reported, not only the first
+        report('error', match.index, `Unclosed ${match[0]} block swallows the rest of the page`, 'unclosed-block');
+        if (swallowedFrom === -1) swallowedFrom = match.index;
+      }
+    }
+    if (swallowedFrom !== -1) {
+      masked += doku.slice(maskedUpTo, swallowedFrom) + blank(doku.slice(swallowedFrom));
+      maskedUpTo = doku.length;
+    }
+    masked += doku.slice(maskedUpTo);
+    const lines = masked.split('\n');
+    syntaxPlugins('block').forEach(plugin => {
+      // Single-line block plugins have nothing to close
+      if (!plugin.end) return;
+      const stack = [];
+      lines.forEach((line, i) => {
+        if (line.match(/^\s*/)[0].length >= 2) return;
+        if (plugin.pattern.test(line.trim())) stack.push(i);
+        else if (plugin.end.test(line.trim()) && stack.length) stack.pop();
+      });
+      stack.forEach(i => report('error', lineStarts[i] + lines[i].search(/\S/), `Unclosed ${plugin.name} block swallows the rest of the page`, 'unclosed-block'));
+    });
+    let listDepth = 0;
+    let table = null;
+    lines.forEach((line, i) => {
+      const start = lineStarts[i];
+      const listItem = line.match(/^( {2,}|\t+)[*-]\s/);
+      if (listItem) {
+        const indent = listItem[1].replace(/\t/g, '  ').length;
+        const depth = Math.floor((indent - 2) / 2) + 1;
+        if (indent % 2) report('warning', start, `List item indented by ${indent} spaces; nesting levels are two spaces apart`, 'list-indent');
+        if (depth > listDepth + 1) report('warning', start, `List item jumps from level ${listDepth} to level ${depth}`, 'list-indent');
+        listDepth = depth;
+      } else {
+        listDepth = 0;
+      }
+      const inline = line.replace(/\[\[[^\]]*\]\]|\{\{[^}]*\}\}|\b[a-z][a-z0-9+.-]*:\/\/[^\s|\]]*/gi, blank);
+      if (/^[\^|]/.test(line)) {
+        const separators = (inline.match(/[\^|]/g) || []).length;
+        const cells = /[\^|]\s*$/.test(inline) ? separators - 1 : separators;
+        if (!table) table = { cells, line: i + 1 };
+        else if (cells !== table.cells) report('warning', start, `Table row has ${cells} cells, but row ${table.line} has ${table.cells}`, 'table-columns');
+      } else {
+        table = null;
+      }
+      if (/^ {2,}|^\t/.test(line) && !listItem) return;
+      ['**', '//', '__', "''"].forEach(marker => {
+        const count = inline.split(marker).length - 1;
+        if (count % 2) report('warning', start + inline.lastIndexOf(marker), `Unterminated ${marker} is shown literally`, 'unterminated-format');
+      });
+      if (inline.split('[[').length > line.split(']]').length) report('warning', start + line.lastIndexOf('[['), 'Unclosed [[ link', 'unclosed-link');
+    });
+    const footnotes = [];
+    masked.replace(/\(\(|\)\)/g, (marker, offset) => {
+      if (marker === '((') footnotes.push(offset);
+      else footnotes.pop();
+      return marker;
     });
-    this.nowikiPlaceholders.forEach((raw, idx) => {
-      str = str.replace(new RegExp(`\\[NOWIKI_${idx}\\]`, 'g'), this.escapeEntities(raw));
+    footnotes.forEach(offset => report('warning', offset, 'Unclosed (( footnote', 'unclosed-footnote'));
+    masked.replace(/\[\[([^\]|]*)(?:\|[^\]]*)?\]\]/g, (link, rawTarget, offset) => {
+      const target = rawTarget.trim();
+      const interwiki = target.match(/^([a-zA-Z0-9.]+)>(.*)$/);
+      if (interwiki) {
+        if (!this.interwikiMap[interwiki[1]]) report('warning', offset, `Unknown interwiki prefix "${interwiki[1]}"`, 'unknown-interwiki');
+      } else if (this.pageExists && target && !/^[a-z][a-z0-9+.-]*:\/\/|^mailto:|^\\\\|^#|@/i.test(target)) {
+        const id = this.resolveNamespace(target.split('#')[0]);
+        if (!this.linkTargetExists(id)) report('warning', offset, `Link to missing page ${id}`, 'dangling-link');
+      }
+      return link;
     });
-    return str;
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
   }
-  applyRules(content) {
-    let result = content;
-    this.nowikiPlaceholders = [];
-    this.rules.forEach(rule => {
-      result = result.replace(rule.pattern, typeof rule.replace === 'function' ? (...args) => rule.replace.apply(this, args) : rule.replace);
+  collectReferences(doku) {
+    const ast = typeof doku === 'string' ? this.parseToAST(doku) : doku;
+    const refs = { internal: [], interwiki: [], external: [], email: [], media: [] };
+    const seen = new Set();
+    const add = (kind, key, entry) => {
+      if (seen.has(`${kind}|${key}`)) return;
+      seen.add(`${kind}|${key}`);
+      refs[kind].push(entry);
+    };
+    visitAST(ast, node => {
+      if (node.type === 'link') {
+        if (node.linkType === 'internal' && node.id) add('internal', `${node.id}#${node.section}`, { id: node.id, section: node.section, exists: node.exists, line: node.position.start.line });
+        else if (node.linkType === 'interwiki') add('interwiki', node.target, { wiki: node.wiki, page: node.page, url: node.url, line: node.position.start.line });
+        else if (node.linkType === 'external') add('external', node.url, { url: node.url, line: node.position.start.line });
+        else if (node.linkType === 'email') add('email', node.target, { address: node.target, line: node.position.start.line });
+      } else if (node.type === 'media') {
+        add('media', node.external ? node.src : node.id, { id: node.id, src: node.src, external: node.external, line: node.position.start.line });
+      }
     });
-    result = this.parseFootnotes(result);
-    return result;
-  }
-  parseFootnotes(content) {
-    return content.replace(/\(\((.+?)\)\)/g, (match, note) => {
-      if (!note.trim()) return match;
-      let index = this.footnoteContent.get(note);
-      if (index === undefined) {
-        index = this.footnoteContent.size;
-        this.footnoteContent.set(note, index);
-      }
-      return `<sup><a href="#fn__${index + 1}" id="fnt__${index + 1}" class="fn_top">[${index + 1})</a></sup>`;
+    return refs;
+  }
+  render(doku, renderer) {
+    const ast = typeof doku === 'string' ? this.parseToAST(doku) : doku;
+    return (renderer || new DokuHtmlRenderer(this)).render(ast);
+  }
+  toMarkdown(doku, options = {}) {
+    const renderer = new DokuMarkdownRenderer(this, options);
+    const markdown = this.render(doku, renderer);
+    return { markdown, report: renderer.report };
+  }
+  fromMarkdown(markdown) {
+    return markdownToDoku(markdown, { namespace: this.currentNamespace, mediaBasePath: this.mediaBasePath });
+  }
+  sectionId(title) {
+    return title.replace(/<[^>]*>/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+  uniqueHeadingId(id) {
+    const seen = this.headingIds.get(id);
+    this.headingIds.set(id, (seen || 0) + 1);
+    return seen ? `${id}${seen}` : id;
+  }
+  buildToc() {
+    const entries = this.headings.filter(h => h.level <= this.maxTocLevel);
+    if (!this.toc || this.noToc || entries.length <= 3) return '';
+    const top = Math.min(...entries.map(h => h.level));
+    let html = '<div class="toc" id="dw__toc"><div class="tocheader">Table of Contents</div><div><ul class="toc">';
+    let depth = 1;
+    entries.forEach((h, idx) => {
+      const level = h.level - top + 1;
+      if (idx > 0) {
+        if (level > depth) {
+          while (depth < level) {
+            html += '<ul class="toc">';
+            depth++;
+          }
+        } else {
+          html += '</li>';
+          while (depth > level) {
+            html += '</ul></li>';
+            depth--;
+          }
+        }
+      }
+      html += `<li class="level${depth}"><div class="li"><a href="#${h.id}">${h.title}</a></div>`;
     });
+    html += '</li>';
+    while (depth > 1) {
+      html += '</ul></li>';
+      depth--;
+    }
+    return html + '</ul></div></div>';
   }
   escapeEntities(content) {
     return content
@@ -956,43 +1677,378 @@ class DokuParserJS {
       .replace(/"/g, '&quot;')
       .replace(/'/g, '&#39;');
   }
-  flushBlocks(result, tableLines, quoteLevel, paragraphBuffer, codeBlockBuffer, codeLang) {
-    if (this.listStack.length > 0) {
-      while (this.listStack.length > 0) {
-        result.push('</li>');
-        result.push(`</${this.listStack.pop().type}>`);
-        this.currentIndent = -1;
-        this.currentType = null;
-      }
-    }
-    if (tableLines.length > 0) {
-      const tableHtml = tableParser({ lines: tableLines, inCode: this.currentSection.match(/^(Links|Tables|Quoting|No Formatting|Embedding HTML and PHP|RSS\/ATOM Feed Aggregation|Control Macros|Syntax Plugins|Code Blocks|Downloadable Code Blocks)$/i) && tableLines[0].match(/^\s{2,}/), nestedParse: (text) => this.replacePlaceholders(this.applyRules(text)) });
-      if (tableHtml.trim()) result.push(tableHtml);
-      tableLines.length = 0;
-    }
-    if (quoteLevel > 0) {
-      while (quoteLevel > 0) {
-        result.push('</div></blockquote>');
-        quoteLevel--;
+  static configOptions(files) {
+    const options = {};
+    Object.entries(CONF_OPTIONS).forEach(([name, option]) => {
+      const base = files.get(`${name}.conf`);
+      const local = files.get(`${name}.local.conf`);
+      if (base == null && local == null) return;
+      options[option] = { ...parseConf(base), ...parseConf(local) };
+    });
+    return options;
+  }
+  static async loadConfig(loader) {
+    const files = new Map();
+    await Promise.all(CONF_FILES.map(async name => {
+      try {
+        files.set(name, await loader(name));
+      } catch (e) {
+        files.set(name, null);
       }
+    }));
+    return DokuParserJS.configOptions(files);
+  }
+  static readConfig(confDir = process.env.DOKU_CONF_DIR || 'conf') {
+    const fs = require('fs');
+    const path = require('path');
+    const files = new Map();
+    CONF_FILES.forEach(name => {
+      const file = path.join(confDir, name);
+      files.set(name, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+    });
+    return DokuParserJS.configOptions(files);
+  }
+  static async loadIncludes(text, loader, { namespace = '', pageId = null, maxDepth = 5 } = {}) {
+    const pages = new Map();
+    const visit = async (source, currentNamespace, depth) => {
+      if (depth > maxDepth) return;
+      const ids = [];
+      visitAST(new DokuParserJS({ currentNamespace }).parseToAST(source), node => {
+        if (node.type === 'include') ids.push(node.id);
+      });
+      for (const id of ids) {
+        if (pages.has(id) || id === pageId) continue;
+        pages.set(id, null);
+        let content = null;
+        try {
+          content = await loader(id);
+        } catch (e) {
+          content = null;
+        }
+        if (typeof content !== 'string') continue;
+        pages.set(id, content);
+        await visit(content, id.split(':').slice(0, -1).join(':'), depth + 1);
+      }
+    };
+    await visit(text, namespace, 1);
+    return pages;
+  }
+  static pageFile(pagesDir, id) {
+    const path = require('path');
+    return `${path.join(pagesDir, ...id.split(':'))}.txt`;
+  }
+  static collectFiles(baseDir, filter = () => true) {
+    const fs = require('fs');
+    const path = require('path');
+    const files = [];
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name)).forEach(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(file);
+        } else if (filter(entry.name)) {
+          const relative = path.relative(baseDir, file).split(path.sep).join('/');
+          const segments = relative.split('/');
+          files.push({ namespace: segments.slice(0, -1).join(':'), name: segments[segments.length - 1], file, path: relative });
+        }
+      });
+    };
+    if (fs.existsSync(baseDir)) walk(baseDir);
+    return files;
+  }
+  static collectPages(pagesDir) {
+    return DokuParserJS.collectFiles(pagesDir, name => name.endsWith('.txt')).map(page => ({
+      id: page.path.replace(/\.txt$/, '').split('/').join(':'),
+      namespace: page.namespace,
+      file: page.file,
+      path: page.path
+    }));
+  }
+  static collectMedia(mediaDir) {
+    const fs = require('fs');
+    return DokuParserJS.collectFiles(mediaDir).map(item => ({
+      id: item.path.split('/').join(':'),
+      namespace: item.namespace,
+      file: item.file,
+      path: item.path,
+      size: fs.statSync(item.file).size
+    }));
+  }
+  static buildManifest(dataDir, manifestDir = '.') {
+    const fs = require('fs');
+    const path = require('path');
+    const urlPath = (file) => path.relative(manifestDir, file).split(path.sep).join('/');
+    const pages = DokuParserJS.collectPages(path.join(dataDir, 'pages')).map(page => {
+      const stat = fs.statSync(page.file);
+      const heading = fs.readFileSync(page.file, 'utf8').match(/^[ \t]*={2,6}(.+?)={2,6}[ \t]*$/m);
+      return {
+        id: page.id,
+        namespace: page.namespace,
+        file: page.path,
+        path: urlPath(page.file),
+        title: heading ? heading[1].trim() : page.id.split(':').pop(),
+        lastModified: stat.mtime.toISOString(),
+        size: stat.size
+      };
+    });
+    const media = DokuParserJS.collectMedia(path.join(dataDir, 'media')).map(item => ({
+      id: item.id,
+      namespace: item.namespace,
+      file: item.path,
+      path: urlPath(item.file),
+      lastModified: fs.statSync(item.file).mtime.toISOString(),
+      size: item.size
+    }));
+    const namespaces = [...new Set(pages.flatMap(page => page.namespace.split(':').map((part, i, parts) => parts.slice(0, i + 1).join(':'))))].filter(Boolean).sort();
+    return { version: 1, generated: new Date().toISOString(), namespaces, pages, media };
+  }
+  static manifestCLI(args) {
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = args[0] || 'data';
+    const outFile = args[1] || 'pages.json';
+    try {
+      const manifest = DokuParserJS.buildManifest(dataDir, path.dirname(outFile));
+      fs.writeFileSync(outFile, JSON.stringify(manifest, null, 2) + '\n');
+      console.log(`Wrote ${manifest.pages.length} pages and ${manifest.media.length} media files to ${outFile}`);
+      process.exit(0);
+    } catch (e) {
+      console.error('Error building manifest:', e.message);
+      process.exit(1);
     }
-    if (paragraphBuffer.length > 0) {
-      let paraContent = paragraphBuffer.join(' ');
-      if (paraContent.trim()) {
-        result.push(`<p>${this.replacePlaceholders(paraContent)}</p>`);
+  }
+  static indexCLI(args) {
+    const fs = require('fs');
+    const pagesDir = args[0] || 'data/pages';
+    const outFile = args[1] || 'data/search-index.json';
+    try {
+      const pages = DokuParserJS.collectPages(pagesDir).map(page => ({ id: page.id, text: fs.readFileSync(page.file, 'utf8') }));
+      const index = DokuSearchIndex.build(pages);
+      fs.writeFileSync(outFile, JSON.stringify(index));
+      console.log(`Indexed ${pages.length} pages (${Object.keys(index.terms).length} terms) into ${outFile}`);
+      process.exit(0);
+    } catch (e) {
+      console.error('Error building search index:', e.message);
+      process.exit(1);
+    }
+  }
+  static exportSite(pagesDir, outDir, options = {}) {
+    const fs = require('fs');
+    const path = require('path');
+    const mediaDir = options.mediaDir || path.join(pagesDir, '..', 'media');
+    const siteTitle = options.siteTitle || 'DokuWiki';
+    // Sitemap locations must be absolute, so only a site with a known public URL gets a sitemap
+    let baseUrl = null;
+    if (options.baseUrl) {
+      try {
+        baseUrl = new URL(options.baseUrl.replace(/\/?$/, '/'));
+      } catch (e) {
+        throw new Error(`Base URL must be absolute: ${options.baseUrl}`);
       }
-      paragraphBuffer.length = 0;
     }
-    if (codeBlockBuffer.length > 0) {
-      const fullContent = codeBlockBuffer.join('\n');
-      if (fullContent.trim()) {
-        result.push(`<pre class="${codeLang}">${this.escapeEntities(fullContent)}</pre>`);
+    const feeds = options.feeds || {};
+    const pages = DokuParserJS.collectPages(pagesDir);
+    const ids = new Set(pages.map(page => page.id));
+    const media = new Set();
+    const mediaFiles = DokuParserJS.collectMedia(mediaDir);
+    const entries = [];
+    let downloads = 0;
+    pages.forEach(page => {
+      const depth = page.namespace ? page.namespace.split(':').length : 0;
+      const prefix = '../'.repeat(depth);
+      const target = path.join(outDir, `${page.path.replace(/\.txt$/, '')}.html`);
+      const pageName = path.basename(target, '.html');
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      const parser = new DokuParserJS({
+        ...options.parserOptions,
+        currentNamespace: page.namespace,
+        pagesBasePath: prefix,
+        mediaBasePath: `${prefix}_media/`,
+        pageExtension: '.html',
+        toc: true,
+        pageExists: ids,
+        mediaFiles,
+        feedProvider: (url) => feeds[url] || null,
+        pageId: page.id,
+        includePages: (id) => {
+          const file = DokuParserJS.pageFile(pagesDir, id);
+          return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        },
+        codeBlockHref: (block) => {
+          const fileName = `${pageName}.${block.index}.${path.basename(block.filename)}`;
+          fs.writeFileSync(path.join(path.dirname(target), fileName), block.content);
+          downloads++;
+          return encodeURIComponent(fileName);
+        }
+      });
+      const text = fs.readFileSync(page.file, 'utf8');
+      const ast = parser.parseToAST(text);
+      visitAST(ast, node => {
+        if (node.type !== 'media' || node.external) return;
+        media.add(node.id);
+        // Alternative sources and posters of video and audio players only appear in the HTML
+        const ext = node.id.split('.').pop().toLowerCase();
+        const types = MEDIA_TYPES.video[ext] ? MEDIA_TYPES.video : (MEDIA_TYPES.audio[ext] ? MEDIA_TYPES.audio : null);
+        if (types) parser.mediaAlternatives(node.id, [...Object.keys(types), 'jpg', 'png']).forEach(id => media.add(id));
+      });
+      const body = parser.render(ast);
+      const title = parser.headings.length ? parser.headings[0].title : parser.escapeEntities(page.id.split(':').pop());
+      fs.writeFileSync(target, exportTemplate({ siteTitle, title, body, prefix, id: page.id }));
+      entries.push({ id: page.id, title, url: `${page.path.replace(/\.txt$/, '').split('/').map(encodeURIComponent).join('/')}.html`, lastmod: fs.statSync(page.file).mtime.toISOString() });
+    });
+    let copied = 0;
+    media.forEach(id => {
+      const source = path.join(mediaDir, ...id.split(':'));
+      if (!fs.existsSync(source)) {
+        console.warn(`Warning: Referenced media not found: ${id}`);
+        return;
       }
-      codeBlockBuffer.length = 0;
+      const target = path.join(outDir, '_media', ...id.split(':'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(source, target);
+      copied++;
+    });
+    const namespaces = [...new Set(pages.flatMap(page => page.namespace.split(':').map((part, i, parts) => parts.slice(0, i + 1).join(':'))))].filter(Boolean);
+    const indexPages = entries.map(entry => ({ id: entry.id, title: DokuParserJS.prototype.decodeEntities(entry.title) }));
+    namespaces.filter(ns => !ids.has(new DokuParserJS({ pageExists: ids }).startPage(ns))).forEach(ns => {
+      const prefix = '../'.repeat(ns.split(':').length);
+      const parser = new DokuParserJS({ ...options.parserOptions, currentNamespace: ns, pagesBasePath: prefix, pageExtension: '.html', pageExists: ids });
+      const target = path.join(outDir, ...ns.split(':'), 'start.html');
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, exportTemplate({ siteTitle, title: parser.escapeEntities(ns), body: parser.namespaceIndexHtml(ns, indexPages), prefix, id: `${ns}:start` }));
+    });
+    if (baseUrl) {
+      const sitemap = entries.map(entry => `  <url><loc>${DokuParserJS.prototype.escapeEntities(new URL(entry.url, baseUrl).href)}</loc><lastmod>${entry.lastmod}</lastmod></url>`).join('\n');
+      fs.writeFileSync(path.join(outDir, 'sitemap.xml'), `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${sitemap}\n</urlset>\n`);
+    } else {
+      console.warn('Warning: No base URL (DOKU_BASE_URL) given, sitemap.xml skipped');
     }
+    // A page with the id "index" keeps index.html; the page list moves aside
+    const listFile = ids.has('index') ? 'sitemap.html' : 'index.html';
+    if (ids.has('index')) console.warn('Warning: Page "index" exported as index.html, page list written to sitemap.html');
+    const escape = (str) => DokuParserJS.prototype.escapeEntities(str);
+    const index = `<ul>${entries.map(entry => `<li class="level${entry.id.split(':').length}"><div class="li"><a href="${escape(entry.url)}" class="wikilink1" title="${escape(entry.id)}">${entry.title}</a> <span class="id">${escape(entry.id)}</span></div></li>`).join('')}</ul>`;
+    fs.writeFileSync(path.join(outDir, listFile), exportTemplate({ siteTitle, title: 'Sitemap', body: `<div class="page group"><h1>Sitemap</h1>${index}</div>`, prefix: '', id: '' }));
+    return { pages: entries.length, media: copied, downloads };
   }
-  static parseCLI() {
+  static exportCLI(args) {
     const fs = require('fs');
+    const pagesDir = args[0] || 'data/pages';
+    const outDir = args[1] || 'site';
+    try {
+      const feedCache = process.env.DOKU_FEED_CACHE;
+      const summary = DokuParserJS.exportSite(pagesDir, outDir, {
+        mediaDir: process.env.DOKU_MEDIA_DIR,
+        feeds: feedCache ? JSON.parse(fs.readFileSync(feedCache, 'utf8')).feeds : {},
+        siteTitle: process.env.DOKU_SITE_TITLE,
+        baseUrl: process.env.DOKU_BASE_URL,
+        parserOptions: { ...DokuParserJS.readConfig(), useEmoji: process.env.DOKU_USE_EMOJI !== 'false' }
+      });
+      console.log(`Exported ${summary.pages} pages, ${summary.media} media files and ${summary.downloads} code downloads to ${outDir}`);
+      process.exit(0);
+    } catch (e) {
+      console.error('Error exporting site:', e.message);
+      process.exit(1);
+    }
+  }
+  static async fetchFeeds(pagesDir, cache = {}) {
+    const fs = require('fs');
+    const feeds = { ...cache };
+    const urls = new Set();
+    DokuParserJS.collectPages(pagesDir).forEach(page => {
+      visitAST(new DokuParserJS().parseToAST(fs.readFileSync(page.file, 'utf8')), node => {
+        if (node.type === 'macro' && node.name === 'rss' && node.feed.url) urls.add(node.feed.url);
+      });
+    });
+    const failed = [];
+    for (const url of urls) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        feeds[url] = { ...parseFeed(await response.text()), fetched: new Date().toISOString() };
+      } catch (e) {
+        failed.push({ url, error: e.message });
+      }
+    }
+    return { feeds, failed };
+  }
+  static feedsCLI(args) {
+    const fs = require('fs');
+    const pagesDir = args[0] || 'data/pages';
+    const outFile = args[1] || 'data/feeds.json';
+    const previous = fs.existsSync(outFile) ? JSON.parse(fs.readFileSync(outFile, 'utf8')).feeds || {} : {};
+    DokuParserJS.fetchFeeds(pagesDir, previous).then(({ feeds, failed }) => {
+      fs.writeFileSync(outFile, JSON.stringify({ version: 1, generated: new Date().toISOString(), feeds }, null, 2) + '\n');
+      failed.forEach(entry => console.warn(`Warning: Could not fetch feed ${entry.url}: ${entry.error}`));
+      console.log(`Wrote ${Object.keys(feeds).length} feeds to ${outFile}`);
+      process.exit(0);
+    }).catch(e => {
+      console.error('Error fetching feeds:', e.message);
+      process.exit(1);
+    });
+  }
+  static linksCLI(args) {
+    const fs = require('fs');
+    const pagesDir = args[0] || 'data/pages';
+    try {
+      const pages = DokuParserJS.collectPages(pagesDir).map(page => ({ id: page.id, text: fs.readFileSync(page.file, 'utf8') }));
+      const graph = DokuLinkGraph.build(pages);
+      if (args[1]) {
+        fs.writeFileSync(args[1], JSON.stringify(graph));
+        console.log(`Wrote link graph for ${pages.length} pages to ${args[1]}`);
+      }
+      const orphans = graph.orphans();
+      const broken = graph.brokenLinks();
+      console.log(`Orphaned pages (${orphans.length}):`);
+      orphans.forEach(id => console.log(`  ${id}`));
+      console.log(`Broken links (${broken.length}):`);
+      broken.forEach(link => console.log(`  ${link.from}:${link.line} -> ${link.to}`));
+      process.exit(0);
+    } catch (e) {
+      console.error('Error building link graph:', e.message);
+      process.exit(1);
+    }
+  }
+  static lintCLI(args) {
+    const fs = require('fs');
+    const pagesDir = args[0] || 'data/pages';
+    try {
+      const pages = DokuParserJS.collectPages(pagesDir);
+      const ids = new Set(pages.map(page => page.id));
+      const totals = { error: 0, warning: 0 };
+      const config = DokuParserJS.readConfig();
+      pages.forEach(page => {
+        const parser = new DokuParserJS({ ...config, currentNamespace: page.namespace, pageExists: ids });
+        parser.lint(fs.readFileSync(page.file, 'utf8')).forEach(diagnostic => {
+          totals[diagnostic.severity]++;
+          console.log(`${page.file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${diagnostic.message} (${diagnostic.code})`);
+        });
+      });
+      console.log(`${totals.error} errors and ${totals.warning} warnings in ${pages.length} pages`);
+      process.exit(totals.error ? 1 : 0);
+    } catch (e) {
+      console.error('Error linting pages:', e.message);
+      process.exit(1);
+    }
+  }
+  static loadPlugins(list = process.env.DOKU_PLUGINS || '') {
+    const path = require('path');
+    list.split(',').map(file => file.trim()).filter(Boolean).forEach(file => require(path.resolve(file)));
+  }
+  static parseCLI() {
+    const [command, ...args] = process.argv.slice(2);
+    try {
+      DokuParserJS.loadPlugins();
+    } catch (e) {
+      console.error('Error loading plugins:', e.message);
+      process.exit(1);
+    }
+    if (command === 'links') return DokuParserJS.linksCLI(args);
+    if (command === 'index') return DokuParserJS.indexCLI(args);
+    if (command === 'export') return DokuParserJS.exportCLI(args);
+    if (command === 'manifest') return DokuParserJS.manifestCLI(args);
+    if (command === 'feeds') return DokuParserJS.feedsCLI(args);
+    if (command === 'lint') return DokuParserJS.lintCLI(args);
     const stdin = process.stdin;
     let input = '';
     stdin.setEncoding('utf8');
@@ -1002,21 +2058,37 @@ class DokuParserJS {
         input += chunk;
       }
     });
-    stdin.on('end', () => {
+    stdin.on('end', async () => {
       if (!input.trim()) {
-        console.error('Usage: node dokuparserjs.js < input.txt');
+        console.error('Usage: node dokuparserjs.js [--lint|--to-markdown|--from-markdown] < input.txt\n       node dokuparserjs.js index [pagesDir] [out.json]\n       node dokuparserjs.js export [pagesDir] [outDir]\n       node dokuparserjs.js manifest [dataDir] [out.json]\n       node dokuparserjs.js links [pagesDir] [out.json]\n       node dokuparserjs.js feeds [pagesDir] [out.json]\n       node dokuparserjs.js lint [pagesDir]');
         process.exit(1);
       }
       try {
+        const fs = require('fs');
+        const pagesDir = process.env.DOKU_PAGES_DIR || 'data/pages';
+        const includePages = await DokuParserJS.loadIncludes(input, (id) => fs.promises.readFile(DokuParserJS.pageFile(pagesDir, id), 'utf8').catch(() => null), {
+          namespace: process.env.DOKU_NAMESPACE || 'wiki'
+        });
         const parser = new DokuParserJS({
+          ...DokuParserJS.readConfig(),
           currentNamespace: process.env.DOKU_NAMESPACE || 'wiki',
+          includePages,
+          mediaFiles: DokuParserJS.collectMedia(process.env.DOKU_MEDIA_DIR || 'data/media'),
           useTxtExtension: process.env.DOKU_USE_TXT_EXTENSION !== 'false',
           pagesBasePath: process.env.DOKU_PAGES_BASE_PATH || '/',
           mediaBasePath: process.env.DOKU_MEDIA_BASE_PATH || '/data/media/',
           smileyBasePath: process.env.DOKU_SMILEY_BASE_PATH || '/dokuwiki/lib/exe/fetch.php?media=lib:images:smileys:',
-          useEmoji: process.env.DOKU_USE_EMOJI !== 'false'
+          useEmoji: process.env.DOKU_USE_EMOJI !== 'false',
+          lint: command === '--lint'
         });
+        if (command === '--to-markdown' || command === '--from-markdown') {
+          const { markdown, doku, report } = command === '--to-markdown' ? parser.toMarkdown(input) : parser.fromMarkdown(input);
+          report.forEach(entry => console.warn(`Warning: line ${entry.line}: ${entry.message}`));
+          console.log(command === '--to-markdown' ? markdown : doku);
+          process.exit(0);
+        }
         const html = parser.parse(input);
+        parser.diagnostics.forEach(d => console.warn(`${d.severity === 'error' ? 'Error' : 'Warning'}: ${d.line ? `line ${d.line}:${d.column}: ` : ''}${d.message}`));
         console.log(html);
         process.exit(0);
       } catch (e) {
@@ -1026,6 +2098,1412 @@ class DokuParserJS {
     });
   }
 }
+const EXPORT_STYLES = `
+body { margin: 0; font-family: Arial, Helvetica, sans-serif; font-size: 14px; line-height: 1.5; color: #333; background: #f3f4f6; }
+header { background: #1f2937; color: #e5e7eb; padding: 0.75em 1.5em; display: flex; gap: 1em; align-items: baseline; }
+header a { color: #e5e7eb; text-decoration: none; font-weight: bold; }
+header .crumbs { color: #9ca3af; font-size: 90%; }
+main { max-width: 960px; margin: 1.5em auto; background: #fff; padding: 1.5em 2em; border: 1px solid #e5e7eb; }
+h1, h2, h3, h4, h5, h6 { color: #1f3540; }
+a { color: #0000ff; text-decoration: none; }
+a:hover, a.interwiki, a.urlextern { text-decoration: underline; }
+a.wikilink2 { color: #cc0000; text-decoration: underline; }
+li div.li { display: inline; }
+blockquote { border-left: 3px solid #999; padding-left: 1em; margin: 0.5em 0 0.5em 1em; background: #f7f9fa; font-style: italic; }
+pre.code, pre.file { background: #f7f9fa; border: 1px solid #d7d9da; padding: 0.5em; font-size: 90%; overflow-x: auto; }
+dl.code, dl.file { margin: 0.5em 0; }
+dl.code dt, dl.file dt { display: inline-block; background: #f7f9fa; border: 1px solid #d7d9da; border-bottom: 0; padding: 0.1em 0.5em; font-size: 90%; }
+dl.code dd, dl.file dd { margin: 0; }
+dl.code dd pre, dl.file dd pre { margin-top: 0; }
+pre .kw1, pre .kw4 { color: #b1b100; }
+pre .kw2 { color: #000000; font-weight: bold; }
+pre .kw3 { color: #000066; }
+pre .co1, pre .co2, pre .coMULTI { color: #808080; font-style: italic; }
+pre .st0 { color: #ff0000; }
+pre .nu0 { color: #cc66cc; }
+pre .re0, pre .re1 { color: #0000ff; }
+pre .br0, pre .sy0 { color: #66cc66; }
+pre .sc0, pre .sc1 { color: #00bbdd; }
+pre span.ln-xtra { background: #ffffcc; display: inline-block; width: 100%; }
+pre ol { margin: 0; padding-left: 3.5em; }
+pre ol li.ln-xtra { background: #ffffcc; }
+table.inline { border-collapse: collapse; border: 1px solid #dee7e7; width: 100%; margin: 0.5em 0; }
+table.inline th, table.inline td { border: 1px solid #dee7e7; padding: 0.3em 0.5em; }
+table.inline th { background: #e0e5e5; }
+td.centeralign { text-align: center; }
+td.rightalign { text-align: right; }
+img, video, iframe { max-width: 100%; }
+img.mediacenter, video.mediacenter, iframe.mediacenter { display: block; margin: 0.5em auto; }
+img.medialeft, video.medialeft, iframe.medialeft { float: left; margin-right: 1em; }
+img.mediaright, video.mediaright, iframe.mediaright { float: right; margin-left: 1em; }
+a.mediafile::before { content: "\\1F4C4"; margin-right: 0.2em; }
+.footnotes { margin-top: 1em; border-top: 1px solid #ccc; padding-top: 0.5em; }
+.toc { margin: 1em 0; padding: 1em; background: #f7f9fa; border: 1px solid #d7d9da; border-radius: 4px; }
+.tocheader { font-weight: bold; font-size: 1.2em; margin-bottom: 0.5em; }
+.toc ul { list-style: none; margin: 0; padding: 0; }
+.toc ul ul { margin-left: 1.5em; }
+span.id { color: #9ca3af; font-size: 85%; }
+ul.rss .detail { color: #666; font-size: 90%; }
+.plugin_include_error { color: #cc0000; }
+.include_readmore { font-size: 90%; }
+.plugin_wrap.wrap_box, .plugin_note { margin: 1em 0; padding: 0.5em 1em; border: 1px solid #d7d9da; border-radius: 4px; background: #f7f9fa; }
+span.plugin_wrap.wrap_hi { background: #ffff99; }
+div.tags { margin-top: 1em; padding-top: 0.5em; border-top: 1px dotted #ccc; text-align: right; font-size: 90%; }
+`;
+function exportTemplate({ siteTitle, title, body, prefix, id }) {
+  const crumbs = id ? id.split(':').map(part => DokuParserJS.prototype.escapeEntities(part)).join(' &raquo; ') : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title} - ${DokuParserJS.prototype.escapeEntities(siteTitle)}</title>
+<style>${EXPORT_STYLES}</style>
+</head>
+<body>
+<header><a href="${prefix}index.html">${DokuParserJS.prototype.escapeEntities(siteTitle)}</a><span class="crumbs">${crumbs}</span></header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+/**
+ * Returns the plain text content of an AST node (or `{ children }` wrapper), ignoring markup.
+ *
+ * @param {Object} node - AST node from `parseToAST()`.
+ * @returns {string} - Concatenated text.
+ */
+function astText(node) {
+  if (!node) return '';
+  if (node.type === 'text' || node.type === 'unformatted') return node.value;
+  if (node.type === 'entity' || node.type === 'smiley') return node.text;
+  if (node.type === 'linebreak') return '\n';
+  if (node.type === 'media') return node.title;
+  if (node.type === 'link' && !node.children.length) return node.page || node.target;
+  return (node.children || []).map(astText).join('');
+}
+/**
+ * Walks an AST depth-first, calling `visitor(node, parent)` for every node including section titles.
+ * Returning `false` from the visitor skips the node's children.
+ *
+ * @param {Object} node - AST node from `parseToAST()`.
+ * @param {Function} visitor - Callback receiving `(node, parent)`.
+ */
+function visitAST(node, visitor, parent = null) {
+  if (visitor(node, parent) === false) return;
+  if (node.title && Array.isArray(node.title)) node.title.forEach(child => visitAST(child, visitor, node));
+  (node.children || []).forEach(child => visitAST(child, visitor, node));
+}
+/**
+ * Parses RSS 0.9x/1.0/2.0 and Atom XML into `{ title, items: [{ title, link, author, date, description }] }`.
+ * Regex based so it runs in Node and in the browser alike; unknown markup is ignored rather than rejected.
+ */
+function parseFeed(xml) {
+  const decode = (text) => DokuParserJS.prototype.decodeEntities(text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;'))).trim();
+  const field = (block, names) => {
+    for (const name of names) {
+      const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+      if (match) return decode(match[1]);
+    }
+    return '';
+  };
+  const atomLink = (block) => {
+    const links = block.match(/<link\b[^>]*>/gi) || [];
+    const link = links.find(tag => !/\srel=["'](?!alternate)/i.test(tag)) || links[0];
+    const href = link && link.match(/\shref=["']([^"']*)["']/i);
+    return href ? decode(href[1]) : '';
+  };
+  const blocks = xml.match(/<(item|entry)\b[\s\S]*?<\/\1>/gi) || [];
+  const channel = xml.replace(/<(item|entry)\b[\s\S]*?<\/\1>/gi, '');
+  return {
+    title: field(channel, ['title']),
+    items: blocks.map(block => {
+      const author = block.match(/<author\b[^>]*>([\s\S]*?)<\/author>/i);
+      return {
+        title: field(block, ['title']),
+        link: field(block, ['link']) || atomLink(block),
+        author: author && /<name\b/i.test(author[1]) ? field(author[1], ['name']) : (author ? decode(author[1]) : field(block, ['dc:creator'])),
+        date: field(block, ['pubDate', 'dc:date', 'published', 'updated']),
+        description: field(block, ['description', 'summary', 'content:encoded', 'content'])
+      };
+    })
+  };
+}
+/**
+ * Parses a DokuWiki changelog (`data/meta/<page>.changes` or the wiki-wide `data/meta/_dokuwiki.changes`) into
+ * `[{ date, ip, type, id, user, summary, extra, sizeChange }]`, oldest first. `date` is the revision timestamp in
+ * seconds, which also names the page's attic file (`data/attic/<page>.<date>.txt.gz`); `type` is `C` (created),
+ * `E` (edited), `e` (minor edit), `D` (deleted) or `R` (reverted).
+ */
+function parseChangelog(text) {
+  return text.split('\n').filter(line => line.trim()).map(line => {
+    const [date, ip = '', type = 'E', id = '', user = '', summary = '', extra = '', sizeChange = ''] = line.split('\t');
+    return { date: Number(date), ip, type, id, user, summary, extra, sizeChange: sizeChange === '' ? null : Number(sizeChange) };
+  }).filter(entry => entry.date && entry.id);
+}
+/**
+ * Parses a DokuWiki configuration file (`conf/interwiki.conf`, `smileys.conf`, `entities.conf`, `acronyms.conf`)
+ * into `{ key: value }`. Each line holds a key and a value separated by whitespace; `#` starts a comment unless it
+ * is escaped as `\#` or part of an `&#` character reference, and later lines override earlier ones.
+ */
+function parseConf(text) {
+  const conf = {};
+  (text || '').split(/\r?\n/).forEach(line => {
+    const content = line.replace(/(?<![&\\])#.*$/, '').replace(/\\#/g, '#').trim();
+    if (!content) return;
+    const [key, value = ''] = content.split(/\s+(.*)/);
+    conf[key] = value.trim();
+  });
+  return conf;
+}
+const CONF_OPTIONS = { interwiki: 'interwikiMap', smileys: 'smileys', entities: 'entities', acronyms: 'acronyms' };
+const CONF_FILES = Object.keys(CONF_OPTIONS).flatMap(name => [`${name}.conf`, `${name}.local.conf`]);
+/**
+ * Shortest edit script from `a` to `b` as `{ type: 'equal'|'delete'|'insert', value }` ops, by Myers' O(ND)
+ * algorithm in linear space: each range is split at the point where the forward and backward searches meet.
+ */
+function diffSequences(a, b) {
+  const ops = [];
+  const push = (type, list, from, to) => {
+    for (let i = from; i < to; i++) ops.push({ type, value: list[i] });
+  };
+  const bisect = (startA, endA, startB, endB) => {
+    const n = endA - startA;
+    const m = endB - startB;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const forward = new Int32Array(2 * maxD + 2).fill(-1);
+    const backward = new Int32Array(2 * maxD + 2).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+    const delta = n - m;
+    // With an odd delta the forward search is the one to reach the overlap first
+    const front = delta % 2 !== 0;
+    let k1Start = 0;
+    let k1End = 0;
+    let k2Start = 0;
+    let k2End = 0;
+    for (let d = 0; d < maxD; d++) {
+      for (let k1 = -d + k1Start; k1 <= d - k1End; k1 += 2) {
+        const k1Offset = offset + k1;
+        let x1 = k1 === -d || (k1 !== d && forward[k1Offset - 1] < forward[k1Offset + 1]) ? forward[k1Offset + 1] : forward[k1Offset - 1] + 1;
+        let y1 = x1 - k1;
+        while (x1 < n && y1 < m && a[startA + x1] === b[startB + y1]) {
+          x1++;
+          y1++;
+        }
+        forward[k1Offset] = x1;
+        if (x1 > n) {
+          k1End += 2;
+        } else if (y1 > m) {
+          k1Start += 2;
+        } else if (front) {
+          const k2Offset = offset + delta - k1;
+          if (k2Offset >= 0 && k2Offset < forward.length && backward[k2Offset] !== -1 && x1 >= n - backward[k2Offset]) return [startA + x1, startB + y1];
+        }
+      }
+      for (let k2 = -d + k2Start; k2 <= d - k2End; k2 += 2) {
+        const k2Offset = offset + k2;
+        let x2 = k2 === -d || (k2 !== d && backward[k2Offset - 1] < backward[k2Offset + 1]) ? backward[k2Offset + 1] : backward[k2Offset - 1] + 1;
+        let y2 = x2 - k2;
+        while (x2 < n && y2 < m && a[endA - x2 - 1] === b[endB - y2 - 1]) {
+          x2++;
+          y2++;
+        }
+        backward[k2Offset] = x2;
+        if (x2 > n) {
+          k2End += 2;
+        } else if (y2 > m) {
+          k2Start += 2;
+        } else if (!front) {
+          const k1Offset = offset + delta - k2;
+          if (k1Offset >= 0 && k1Offset < forward.length && forward[k1Offset] !== -1 && forward[k1Offset] >= n - x2) {
+            return [startA + forward[k1Offset], startB + forward[k1Offset] - (k1Offset - offset)];
+          }
+        }
+      }
+    }
+    return null;
+  };
+  const compare = (startA, endA, startB, endB) => {
+    let headA = startA;
+    let headB = startB;
+    while (headA < endA && headB < endB && a[headA] === b[headB]) {
+      headA++;
+      headB++;
+    }
+    push('equal', a, startA, headA);
+    let tailA = endA;
+    let tailB = endB;
+    while (tailA > headA && tailB > headB && a[tailA - 1] === b[tailB - 1]) {
+      tailA--;
+      tailB--;
+    }
+    const split = headA < tailA && headB < tailB ? bisect(headA, tailA, headB, tailB) : null;
+    if (split) {
+      compare(headA, split[0], headB, split[1]);
+      compare(split[0], tailA, split[1], tailB);
+    } else {
+      push('delete', a, headA, tailA);
+      push('insert', b, headB, tailB);
+    }
+    push('equal', a, tailA, endA);
+  };
+  compare(0, a.length, 0, b.length);
+  return ops;
+}
+/**
+ * Line diff of two page texts as rows `{ type, oldLine, newLine, old, new }`, where `type` is `equal`, `change`,
+ * `delete` or `insert` and line numbers are 1-based. Runs of deleted and inserted lines are paired into `change` rows
+ * so renderers can highlight the words that differ (see `diffHtml`).
+ */
+function diffLines(oldText, newText) {
+  const rows = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let deleted = [];
+  let inserted = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(deleted.length, inserted.length); k++) {
+      const type = k >= inserted.length ? 'delete' : k >= deleted.length ? 'insert' : 'change';
+      rows.push({
+        type,
+        oldLine: type === 'insert' ? null : oldLine++,
+        newLine: type === 'delete' ? null : newLine++,
+        old: type === 'insert' ? null : deleted[k],
+        new: type === 'delete' ? null : inserted[k]
+      });
+    }
+    deleted = [];
+    inserted = [];
+  };
+  diffSequences(oldText.split('\n'), newText.split('\n')).forEach(op => {
+    if (op.type === 'delete') return deleted.push(op.value);
+    if (op.type === 'insert') return inserted.push(op.value);
+    flush();
+    rows.push({ type: 'equal', oldLine: oldLine++, newLine: newLine++, old: op.value, new: op.value });
+  });
+  flush();
+  return rows;
+}
+/**
+ * Renders `diffLines()` as DokuWiki's side-by-side diff table (`table.diff.diff_sidebyside`), keeping `context`
+ * unchanged lines around each change; changed words are wrapped in `<del>` and `<strong>`. `oldTitle` and `newTitle`
+ * are HTML for the column headers.
+ */
+function diffHtml(oldText, newText, { context = 2, oldTitle = '', newTitle = '' } = {}) {
+  const escape = (text) => DokuParserJS.prototype.escapeEntities(text);
+  const words = (oldValue, newValue) => {
+    const ops = diffSequences(oldValue.match(/\s+|\w+|[^\w\s]/g) || [], newValue.match(/\s+|\w+|[^\w\s]/g) || []);
+    const side = (skip, tag) => ops.filter(op => op.type !== skip)
+      .reduce((runs, op) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === op.type) last.value += op.value;
+        else runs.push({ ...op });
+        return runs;
+      }, [])
+      .map(op => op.type === 'equal' ? escape(op.value) : `<${tag}>${escape(op.value)}</${tag}>`).join('');
+    return [side('insert', 'del'), side('delete', 'strong')];
+  };
+  const rows = diffLines(oldText, newText);
+  // Each change shows `context` rows on either side; rows already shown are not visited again
+  const visible = new Array(rows.length).fill(false);
+  let shownTo = -1;
+  rows.forEach((row, index) => {
+    if (row.type === 'equal') return;
+    for (let k = Math.max(index - context, shownTo + 1); k <= Math.min(index + context, rows.length - 1); k++) visible[k] = true;
+    shownTo = Math.max(shownTo, index + context);
+  });
+  const cell = (header, className, html) => `<td class="diff-lineheader">${header}</td><td class="${className}">${html || '&#160;'}</td>`;
+  const empty = '<td colspan="2">&#160;</td>';
+  let oldAt = 1;
+  let newAt = 1;
+  const body = rows.map((row, index) => {
+    const header = visible[index] && (index === 0 || !visible[index - 1])
+      ? `<tr><td class="diff-blockheader" colspan="2">Line ${oldAt}:</td><td class="diff-blockheader" colspan="2">Line ${newAt}:</td></tr>\n`
+      : '';
+    if (row.oldLine) oldAt = row.oldLine + 1;
+    if (row.newLine) newAt = row.newLine + 1;
+    if (!visible[index]) return '';
+    if (row.type === 'equal') return `${header}<tr>${cell('&#160;', 'diff-context', escape(row.old))}${cell('&#160;', 'diff-context', escape(row.new))}</tr>\n`;
+    if (row.type === 'delete') return `${header}<tr>${cell('-', 'diff-deletedline', `<del>${escape(row.old)}</del>`)}${empty}</tr>\n`;
+    if (row.type === 'insert') return `${header}<tr>${empty}${cell('+', 'diff-addedline', `<strong>${escape(row.new)}</strong>`)}</tr>\n`;
+    const [oldHtml, newHtml] = words(row.old, row.new);
+    return `${header}<tr>${cell('-', 'diff-deletedline', oldHtml)}${cell('+', 'diff-addedline', newHtml)}</tr>\n`;
+  }).join('');
+  return `<div class="table"><table class="diff diff_sidebyside">\n<tr><th colspan="2">${oldTitle}</th><th colspan="2">${newTitle}</th></tr>\n${body}</table></div>`;
+}
+/**
+ * Converts CommonMark/GFM to DokuWiki markup: headings, paragraphs, lists, block quotes, fenced and indented code,
+ * tables, thematic breaks, links, images, footnotes, emphasis, strikethrough and code spans.
+ *
+ * Relative links to `.md` files become page ids resolved against `namespace`; image paths below `mediaBasePath` (or
+ * relative to the page) become media ids. Constructs DokuWiki cannot express are converted as closely as possible
+ * and listed in `report`.
+ *
+ * @param {string} markdown - Markdown source.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.namespace=''] - Namespace of the converted page.
+ * @param {string} [options.mediaBasePath='/data/media/'] - URL prefix of wiki media.
+ * @returns {{ doku: string, report: Object[] }} - DokuWiki text and the lossy constructs as `{ line, construct, message }`.
+ */
+function markdownToDoku(markdown, { namespace = '', mediaBasePath = '/data/media/' } = {}) {
+  const report = [];
+  let current = 0;
+  const lossy = (construct, message) => report.push({ line: current, construct, message });
+  const source = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n').map((text, index) => ({ text, line: index + 1 }));
+  const fencePattern = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+  const closesFence = (text, fence) => {
+    const match = text.match(fencePattern);
+    return Boolean(match) && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2];
+  };
+  // Link reference definitions and footnotes can be used before they are defined, so collect them first
+  const references = {};
+  const footnotes = {};
+  const lines = [];
+  let fence = null;
+  for (let n = 0; n < source.length; n++) {
+    const { text } = source[n];
+    const fenceMatch = text.match(fencePattern);
+    if (fence) {
+      if (closesFence(text, fence)) fence = null;
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    } else {
+      const note = text.match(/^ {0,3}\[\^([^\]]+)\]:\s*(.*)$/);
+      const reference = !note && text.match(/^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]+)>?(?:\s+["'(](.*)["')])?\s*$/);
+      if (note) {
+        const body = [note[2]];
+        while (n + 1 < source.length && (/^ {4}\S/.test(source[n + 1].text) || (!source[n + 1].text.trim() && /^ {4}\S/.test((source[n + 2] || {}).text || '')))) body.push(source[++n].text.trim());
+        footnotes[note[1]] = body.filter(Boolean).join(' ');
+        continue;
+      }
+      if (reference) {
+        references[reference[1].toLowerCase()] = { href: reference[2], title: reference[3] };
+        continue;
+      }
+    }
+    lines.push(source[n]);
+  }
+  const nowiki = (text) => (text.includes('%%') ? `<nowiki>${text}</nowiki>` : `%%${text}%%`);
+  // Markdown text that would read as DokuWiki markup is kept literal
+  const guard = (text) => text.replace(/\*\*|\/\/|__|''|\[\[|\]\]|\{\{|\}\}|\(\(|\)\)|%%|~~|\\\\|<\/?[a-zA-Z][^>]*>/g, nowiki);
+  const decode = (text) => text.replace(/&(amp|lt|gt|quot|nbsp|#\d+|#x[\da-f]+);/gi, (entity, name) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ' }[name.toLowerCase()];
+    return named || String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  });
+  const resolve = (path) => {
+    const parts = path.startsWith('/') ? [] : namespace.split(':').filter(Boolean);
+    path.split('/').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part && part !== '.') parts.push(decodeURIComponent(part));
+    });
+    return parts.join(':');
+  };
+  const pageRef = (href) => {
+    const [path, section = ''] = href.split('#');
+    const id = resolve(path.replace(/\.(md|markdown)$/i, ''));
+    const ns = id.includes(':') ? id.slice(0, id.lastIndexOf(':')) : '';
+    const ref = ns === namespace ? id.slice(ns ? ns.length + 1 : 0) : (id.includes(':') ? id : `:${id}`);
+    return section ? `${ref}#${section}` : ref;
+  };
+  const mediaRef = (src) => {
+    if (src.startsWith(mediaBasePath)) return `:${decodeURIComponent(src.slice(mediaBasePath.length)).replace(/\//g, ':')}`;
+    return /^[a-z][\w+.-]*:|^\/\//i.test(src) ? src : `:${resolve(src)}`;
+  };
+  const linkTarget = (href) => {
+    if (/^mailto:/i.test(href)) return href.slice(7);
+    if (href.startsWith('#')) return href;
+    if (/^[a-z][\w+.-]*:|^\/\//i.test(href)) return href;
+    if (/\.(md|markdown)(#|$)/i.test(href) || !/\.\w+$/.test(href.split('#')[0])) return pageRef(href);
+    return href;
+  };
+  const inline = (text) => {
+    let out = '';
+    let plain = '';
+    const emit = (markup) => {
+      out += guard(decode(plain)) + markup;
+      plain = '';
+    };
+    const link = (label, href, title) => {
+      if (title) lossy('link-title', `Title "${title}" of link ${href} is dropped`);
+      const target = linkTarget(href.replace(/^<|>$/g, ''));
+      const converted = inline(label);
+      return converted === target || (!converted && !target.startsWith('#')) ? `[[${target}]]` : `[[${target}|${converted}]]`;
+    };
+    const image = (alt, src, title) => {
+      if (title) lossy('image-title', `Title "${title}" of image ${src} is dropped`);
+      return `{{${mediaRef(src.replace(/^<|>$/g, ''))}${alt ? `|${alt.replace(/[|}]/g, '')}` : ''}}}`;
+    };
+    const tokens = [
+      [/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/y, (m) => {
+        const code = m[2].replace(/^ (.*) $/, '$1');
+        return `''${nowiki(code)}''`;
+      }],
+      [/<([a-z][\w+.-]*:[^\s<>]*)>/iy, (m) => `[[${m[1]}]]`],
+      [/<([^\s@<>]+@[^\s@<>]+\.[a-z]{2,})>/iy, (m) => `<${m[1]}>`],
+      [/(?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]]/y, (m) => m[0]],
+      [/!\[([^\]]*)\]\(\s*(<[^>]*>|[^\s)]+)(?:\s+["'(]([^"')]*)["')])?\s*\)/y, (m) => image(m[1], m[2], m[3])],
+      [/\[\^([^\]]+)\]/y, (m) => (footnotes[m[1]] !== undefined ? `((${inline(footnotes[m[1]])}))` : null)],
+      [/\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(<[^>]*>|[^\s)]+)?(?:\s+["'(]([^"')]*)["')])?\s*\)/y, (m) => link(m[1], m[2] || '', m[3])],
+      [/\[((?:[^[\]]|\[[^\]]*\])+)\](?:\[([^\]]*)\])?/y, (m) => {
+        const reference = references[(m[2] || m[1]).toLowerCase()];
+        return reference ? link(m[1], reference.href, reference.title) : null;
+      }],
+      [/<br\s*\/?>/iy, () => '\\\\ '],
+      [/<(\/?)(sub|sup|del)>/iy, (m) => `<${m[1]}${m[2].toLowerCase()}>`],
+      [/<\/?(?:s|strike)>/iy, (m) => (m[0][1] === '/' ? '</del>' : '<del>')],
+      [/<\/?(?:u|ins)>/iy, () => '__'],
+      [/<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/iy, (m) => {
+        lossy('html', `Inline HTML ${m[0]} is dropped`);
+        return '';
+      }],
+      [/(\*\*|__)(?=\S)([\s\S]*?\S)\1(?![*_])/y, (m, at) => (m[1] === '__' && /\w/.test(text[at - 1] || '') ? null : `**${inline(m[2])}**`)],
+      [/([*_])(?=\S)([\s\S]*?[^\s*_])\1(?![*_])/y, (m, at) => (m[1] === '_' && /\w/.test(text[at - 1] || '') ? null : `//${inline(m[2])}//`)],
+      [/~~(?=\S)([\s\S]*?\S)~~/y, (m) => `<del>${inline(m[1])}</del>`]
+    ];
+    let at = 0;
+    while (at < text.length) {
+      if (text[at] === '\\' && /[!-/:-@[-`{-~]/.test(text[at + 1] || '')) {
+        if ('|^'.includes(text[at + 1])) emit(nowiki(text[at + 1]));
+        else plain += text[at + 1];
+        at += 2;
+        continue;
+      }
+      let length = 0;
+      for (const [pattern, toMarkup] of tokens) {
+        pattern.lastIndex = at;
+        const match = pattern.exec(text);
+        const markup = match ? toMarkup(match, at) : null;
+        if (markup === null) continue;
+        emit(markup);
+        length = match[0].length;
+        break;
+      }
+      if (length) at += length;
+      else plain += text[at++];
+    }
+    emit('');
+    return out;
+  };
+  const paragraphLine = (text) => inline(text.trim().replace(/(?: {2,}|\\)$/, '')).replace(/^[|^]/, nowiki) + (/(?: {2,}|\\)$/.test(text) ? ' \\\\' : '');
+  const isBlockStart = (text) => fencePattern.test(text) || /^ {0,3}(?:#{1,6}(?:\s|$)|>|([-*_])(?:\s*\1){2,}\s*$|[-*+]\s+\S|1[.)]\s+\S|<(?:!--|\/?(?:div|p|table|pre|details|section|h[1-6]|ul|ol|dl|blockquote|figure)\b))/i.test(text);
+  const convert = (lines) => {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const { text } = lines[i];
+      current = lines[i].line;
+      let match;
+      if (!text.trim()) {
+        i++;
+        continue;
+      }
+      if ((match = text.match(fencePattern))) {
+        const body = [];
+        const indent = text.match(/^ */)[0].length;
+        i++;
+        while (i < lines.length && !closesFence(lines[i].text, match[1])) {
+          body.push(lines[i++].text.replace(new RegExp(`^ {0,${indent}}`), ''));
+        }
+        i++;
+        blocks.push([`<code${match[2] ? ` ${match[2]}` : ''}>`, ...body, '</code>']);
+        continue;
+      }
+      if ((match = text.match(/^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/))) {
+        const level = match[1].length;
+        if (level === 6) lossy('heading-level', 'Level 6 heading becomes level 5; DokuWiki has five heading levels');
+        const marks = '='.repeat(Math.max(2, 7 - level));
+        blocks.push([`${marks} ${inline(match[2] || '')} ${marks}`]);
+        i++;
+        continue;
+      }
+      if (/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(text)) {
+        blocks.push(['----']);
+        i++;
+        continue;
+      }
+      if (/^ {0,3}>/.test(text)) {
+        const inner = [];
+        while (i < lines.length && /^ {0,3}>/.test(lines[i].text)) {
+          inner.push({ text: lines[i].text.replace(/^ {0,3}> ?/, ''), line: lines[i].line });
+          i++;
+        }
+        const quoted = convert(inner).split('\n').filter(line => line.trim());
+        if (quoted.some(line => !line.startsWith('>') && /^(?:=|<code|<html| {2,}[*-] |[|^]|----)/.test(line))) lossy('quote-block', 'Block content inside a block quote is flattened to quoted lines');
+        blocks.push(quoted.map(line => (line.startsWith('>') ? `>${line}` : `> ${line}`)));
+        continue;
+      }
+      if (text.includes('|') && i + 1 < lines.length && /^ {0,3}\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1].text) && lines[i + 1].text.includes('-')) {
+        const cells = (row) => {
+          const parts = [];
+          let cell = '';
+          let code = false;
+          const trimmed = row.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+          for (let c = 0; c < trimmed.length; c++) {
+            if (trimmed[c] === '\\' && trimmed[c + 1] === '|') {
+              cell += '\\|';
+              c++;
+            } else if (trimmed[c] === '|' && !code) {
+              parts.push(cell);
+              cell = '';
+            } else {
+              if (trimmed[c] === '`') code = !code;
+              cell += trimmed[c];
+            }
+          }
+          return [...parts, cell].map(part => part.trim());
+        };
+        const aligns = cells(lines[i + 1].text).map(spec => (spec.startsWith(':') && spec.endsWith(':') ? 'center' : spec.endsWith(':') ? 'right' : spec.startsWith(':') ? 'left' : null));
+        const pad = (content, column) => ({ left: ` ${content}  `, right: `  ${content} `, center: `  ${content}  ` })[aligns[column]] || ` ${content} `;
+        const row = (text, delimiter) => {
+          const converted = cells(text).slice(0, aligns.length);
+          while (converted.length < aligns.length) converted.push('');
+          return delimiter + converted.map((cell, column) => pad(inline(cell), column)).join(delimiter) + delimiter;
+        };
+        const table = [row(text, '^')];
+        i += 2;
+        while (i < lines.length && lines[i].text.trim() && lines[i].text.includes('|')) {
+          current = lines[i].line;
+          table.push(row(lines[i++].text, '|'));
+        }
+        blocks.push(table);
+        continue;
+      }
+      if (/^ {0,3}([-*+]|\d{1,9}[.)])(?: +|$)/.test(text)) {
+        const items = [];
+        const stack = [];
+        let blankBefore = false;
+        while (i < lines.length) {
+          const line = lines[i].text;
+          const indent = line.match(/^ */)[0].length;
+          const item = line.match(/^ *([-*+]|\d{1,9}[.)])( +|$)(.*)$/);
+          current = lines[i].line;
+          if (!line.trim()) {
+            blankBefore = true;
+            i++;
+            continue;
+          }
+          if (item && !/^ *([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+            while (stack.length && indent < stack[stack.length - 1].content) stack.pop();
+            stack.push({ content: indent + item[1].length + Math.min(item[2].length || 1, 4) });
+            const ordered = /\d/.test(item[1]);
+            const previous = items[items.length - 1];
+            if (ordered && parseInt(item[1], 10) !== 1 && (!previous || previous.depth < stack.length)) lossy('list-start', `Ordered list starting at ${parseInt(item[1], 10)} is renumbered from 1`);
+            if (/^\[[ xX]\](?:\s|$)/.test(item[3])) lossy('task-list', 'Task list checkbox is kept as text');
+            items.push({ depth: stack.length, ordered, parts: [paragraphLine(item[3])] });
+            blankBefore = false;
+            i++;
+            continue;
+          }
+          const last = items[items.length - 1];
+          const content = stack.length ? stack[stack.length - 1].content : 0;
+          if (stack.length && indent >= content) {
+            // Indented continuation: more paragraphs or a code block belonging to the last item
+            const nested = [];
+            let fence = null;
+            while (i < lines.length) {
+              const next = lines[i].text;
+              const nextIndent = next.match(/^ */)[0].length;
+              if (!fence) {
+                if (next.trim() && (nextIndent < content || /^ *([-*+]|\d{1,9}[.)])( +|$)/.test(next))) break;
+                const following = lines.slice(i + 1).find(candidate => candidate.text.trim());
+                if (!next.trim() && (!following || following.text.match(/^ */)[0].length < content)) break;
+              }
+              const stripped = next.slice(Math.min(content, nextIndent));
+              const fenceMatch = stripped.match(fencePattern);
+              if (fence && closesFence(stripped, fence)) fence = null;
+              else if (!fence && fenceMatch) fence = fenceMatch[1];
+              nested.push({ text: stripped, line: lines[i].line });
+              i++;
+            }
+            convert(nested).split('\n\n').forEach(block => {
+              if (block.startsWith('<code')) {
+                last.parts.push(block);
+                return;
+              }
+              if (/^(?:[|^>=]|----|<html)/.test(block)) lossy('list-block', 'Block content inside a list item is flattened into the item');
+              else if (blankBefore) lossy('list-paragraph', 'Paragraphs inside a list item are joined with line breaks');
+              last.parts.push(`${blankBefore ? '\\\\ ' : ''}${block.replace(/\n/g, ' ')}`);
+              blankBefore = true;
+            });
+            blankBefore = false;
+            continue;
+          }
+          if (!blankBefore && !isBlockStart(line)) {
+            last.parts.push(paragraphLine(line));
+            i++;
+            continue;
+          }
+          break;
+        }
+        blocks.push(items.map(item => `${'  '.repeat(item.depth)}${item.ordered ? '-' : '*'} ${item.parts.join(' ')}`));
+        continue;
+      }
+      if (/^ {4}/.test(text)) {
+        const body = [];
+        while (i < lines.length && (/^ {4}/.test(lines[i].text) || (!lines[i].text.trim() && lines.slice(i).some(next => next.text.trim()) && /^ {4}/.test(lines.slice(i).find(next => next.text.trim()).text)))) {
+          body.push(lines[i++].text.slice(4));
+        }
+        blocks.push(['<code>', ...body, '</code>']);
+        continue;
+      }
+      if (/^ {0,3}<(?:!--|\/?(?:div|p|table|pre|details|section|h[1-6]|ul|ol|dl|blockquote|figure)\b)/i.test(text)) {
+        const body = [];
+        while (i < lines.length && lines[i].text.trim()) body.push(lines[i++].text);
+        lossy('html', 'HTML block is wrapped in <html>, which DokuWiki only renders with htmlok enabled');
+        blocks.push(['<html>', ...body, '</html>']);
+        continue;
+      }
+      const paragraph = [];
+      while (i < lines.length && lines[i].text.trim() && (!paragraph.length || !isBlockStart(lines[i].text))) {
+        const setext = i + 1 < lines.length && lines[i + 1].text.match(/^ {0,3}(=+|-+)\s*$/);
+        current = lines[i].line;
+        paragraph.push(lines[i++].text);
+        if (setext) {
+          const marks = setext[1][0] === '=' ? '======' : '=====';
+          blocks.push([`${marks} ${inline(paragraph.join(' ').trim())} ${marks}`]);
+          paragraph.length = 0;
+          i++;
+          break;
+        }
+      }
+      if (paragraph.length) blocks.push(paragraph.map(paragraphLine));
+    }
+    return blocks.map(block => block.join('\n')).join('\n\n');
+  };
+  return { doku: `${convert(lines).trim()}\n`, report };
+}
+/**
+ * DokuRenderer: Base class for rendering a `parseToAST()` tree.
+ *
+ * `render(node)` dispatches to a method named after `node.type` (e.g. `paragraph(node)`), falling back to
+ * `renderChildren()` for types the subclass does not handle. Subclasses override the node methods they need.
+ *
+ * @example
+ * class ShoutRenderer extends DokuParserJS.Renderer {
+ *   text(node) { return node.value.toUpperCase(); }
+ * }
+ * const out = parser.render('**hello**', new ShoutRenderer(parser));
+ *
+ * @param {DokuParserJS} [parser] - Parser providing options (base paths, interwiki map) to the renderer.
+ */
+class DokuRenderer {
+  constructor(parser) {
+    this.parser = parser || new DokuParserJS();
+  }
+  render(node) {
+    const handler = this[node.type];
+    return typeof handler === 'function' ? handler.call(this, node) : this.renderChildren(node);
+  }
+  renderChildren(node) {
+    return (node.children || []).map(child => this.render(child)).join('');
+  }
+}
+/**
+ * DokuHtmlRenderer: Renders an AST to DokuWiki's HTML markup and CSS classes; `DokuParserJS.parse()` renders
+ * through it.
+ */
+class DokuHtmlRenderer extends DokuRenderer {
+  document(node) {
+    // Included pages and plugin content number their footnotes on in the list of the page that embeds them
+    const root = this.parser.rootParser;
+    this.footnotes = root ? root.footnotes : (this.parser.footnotes = []);
+    let html = this.renderChildren(node);
+    if (!root && this.footnotes.length > 0) {
+      html += '<div class="footnotes">';
+      this.footnotes.forEach((note, index) => {
+        html += `<div class="fn"><sup><a href="#fnt__${index + 1}" id="fn__${index + 1}" class="fn_bot">[${index + 1})</a></sup> <div class="content">${note}</div></div>`;
+      });
+      html += '</div>';
+    }
+    const toc = this.parser.buildToc();
+    const page = `<div class="page group">${toc}${html}</div>`;
+    return this.parser.safeMode ? this.parser.sanitizeHtml(page) : page;
+  }
+  section(node) {
+    const title = node.title.map(child => this.render(child)).join('');
+    return `<h${node.level} class="sectionedit${node.level}" id="${node.id}">${title}</h${node.level}>${this.renderChildren(node)}`;
+  }
+  paragraph(node) {
+    const blocks = node.children.filter(child => child.type !== 'text' || child.value.trim());
+    if (blocks.length === 1 && (blocks[0].type === 'include' || (blocks[0].type === 'macro' && ['rss', 'INFO:syntaxplugins'].includes(blocks[0].name)))) return this.render(blocks[0]);
+    // Code blocks and block-level plugin output inside a paragraph close it, as in DokuWiki
+    let html = '';
+    let inline = '';
+    const flush = () => {
+      if (inline.trim()) html += `<p>${inline}</p>`;
+      inline = '';
+    };
+    node.children.forEach(child => {
+      const rendered = this.render(child);
+      if (child.type !== 'code' && !(child.type === 'plugin' && /^<(?:div|dl|pre|table|ul|ol|blockquote)\b/.test(rendered))) {
+        inline += rendered;
+        return;
+      }
+      flush();
+      html += rendered;
+    });
+    flush();
+    return html;
+  }
+  list(node) {
+    const tag = node.ordered ? 'ol' : 'ul';
+    return `<${tag}>${this.renderChildren(node)}</${tag}>`;
+  }
+  listItem(node) {
+    const inline = node.children.filter(child => child.type !== 'list');
+    const nested = node.children.filter(child => child.type === 'list');
+    return `<li class="level${node.depth}"><div class="li">${inline.map(child => this.render(child)).join('')}</div>${nested.map(child => this.render(child)).join('')}</li>`;
+  }
+  table(node) {
+    this.rowIndex = -1;
+    const [head, ...body] = node.children.map(row => this.render(row));
+    return `<div class="table"><table class="inline"><thead>${head || ''}</thead><tbody>${body.join('')}</tbody></table></div>`;
+  }
+  tableRow(node) {
+    this.rowIndex++;
+    return `<tr class="row${this.rowIndex}">${this.renderChildren(node)}</tr>`;
+  }
+  tableCell(node) {
+    const tag = node.header ? 'th' : 'td';
+    let attrs = ` class="${`col${node.column} ${node.align ? node.align + 'align' : ''}`.trim()}"`;
+    if (node.colspan > 1) attrs += ` colspan="${node.colspan}"`;
+    if (node.rowspan > 1) attrs += ` rowspan="${node.rowspan}"`;
+    return `<${tag}${attrs}>${this.renderChildren(node)}</${tag}>`;
+  }
+  code(node) {
+    const className = node.kind === 'file' ? 'file' : 'code';
+    return this.parser.codeBlockHtml(node.lang ? `${className} ${node.lang}` : className, node.value, node);
+  }
+  quote(node) {
+    return `<blockquote><div class="no">${this.renderChildren(node)}</div></blockquote>`;
+  }
+  hr() {
+    return '<hr />';
+  }
+  html(node) {
+    if (this.parser.htmlok) return node.value;
+    const escaped = this.parser.escapeEntities(node.value);
+    return node.block ? `<pre class="code html">${escaped}</pre>` : `<code>${escaped}</code>`;
+  }
+  php(node) {
+    return `<pre class="code php">${this.parser.escapeEntities(node.value)}</pre>`;
+  }
+  text(node) {
+    return this.parser.escapeEntities(node.value).replace(/\n/g, ' ');
+  }
+  unformatted(node) {
+    return this.parser.escapeEntities(node.value);
+  }
+  strong(node) {
+    return `<strong>${this.renderChildren(node)}</strong>`;
+  }
+  emphasis(node) {
+    return `<em>${this.renderChildren(node)}</em>`;
+  }
+  underline(node) {
+    return `<u>${this.renderChildren(node)}</u>`;
+  }
+  monospace(node) {
+    return `<tt>${this.renderChildren(node)}</tt>`;
+  }
+  subscript(node) {
+    return `<sub>${this.renderChildren(node)}</sub>`;
+  }
+  superscript(node) {
+    return `<sup>${this.renderChildren(node)}</sup>`;
+  }
+  deleted(node) {
+    return `<del>${this.renderChildren(node)}</del>`;
+  }
+  linebreak() {
+    return '<br />';
+  }
+  entity(node) {
+    return node.value;
+  }
+  acronym(node) {
+    return this.parser.acronymHtml(node.text);
+  }
+  smiley(node) {
+    return this.parser.smileyHtml(node.text, node.icon);
+  }
+  macro(node) {
+    if (node.name === 'rss') return this.parser.rssHtml(node.value);
+    return node.name === 'INFO:syntaxplugins' ? this.parser.pluginInfoHtml() : '';
+  }
+  include(node) {
+    return this.parser.includeHtml(node.kind, node.value, node.level);
+  }
+  plugin(node) {
+    const plugin = SYNTAX_PLUGINS.get(node.name);
+    if (!plugin) return '';
+    return this.parser.renderPlugin(plugin, node.match, node.value, node.block ? (text) => (text === node.value ? this.renderChildren(node) : this.parser.parseFragment(text)) : null);
+  }
+  footnote(node) {
+    this.footnotes.push(this.renderChildren(node));
+    const n = this.footnotes.length;
+    return `<sup><a href="#fn__${n}" id="fnt__${n}" class="fn_top">[${n})</a></sup>`;
+  }
+  link(node) {
+    this.inLink = true;
+    const text = node.children.length ? this.renderChildren(node) : null;
+    this.inLink = false;
+    const parser = this.parser;
+    switch (node.linkType) {
+      case 'interwiki':
+        return parser.interwikiLink(node.wiki, node.page, node.section, text || parser.escapeEntities(node.page), node.target);
+      case 'external':
+        if (node.bare) return parser.externalLink(node.url, parser.escapeEntities(node.target));
+        return parser.externalLink(node.url, text || parser.escapeEntities(node.target.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '')), node.url);
+      case 'email':
+        return parser.emailLink(node.target, text || parser.escapeEntities(node.target));
+      case 'windowsshare':
+        return parser.windowsShareLink(node.target, text || parser.escapeEntities(node.target));
+      default:
+        if (!node.page) return `<a href="#${parser.sectionId(node.section)}" class="wikilink1" title="#${parser.escapeEntities(node.section)}">${text || parser.escapeEntities(node.section)}</a>`;
+        return parser.internalLink(node.page, node.section, text || parser.escapeEntities(node.target));
+    }
+  }
+  media(node) {
+    return this.parser.mediaHtml({ src: node.external ? node.src : `:${node.id}`, align: node.align || '', width: node.width, height: node.height, linking: this.inLink ? 'nolink' : node.linking, title: node.title, cache: node.cache });
+  }
+}
+/**
+ * DokuTextRenderer: Renders an AST to plain text (paragraphs separated by blank lines), e.g. for search
+ * indexing or snippets.
+ */
+class DokuTextRenderer extends DokuRenderer {
+  block(text) {
+    return text ? `${text}\n\n` : '';
+  }
+  document(node) {
+    return this.renderChildren(node).replace(/\n{3,}/g, '\n\n').trim();
+  }
+  section(node) {
+    return this.block(astText({ children: node.title })) + this.renderChildren(node);
+  }
+  paragraph(node) {
+    return this.block(this.renderChildren(node).replace(/\s*\n\s*/g, ' ').trim());
+  }
+  list(node) {
+    return node.children.map(item => this.render(item)).join('') + (node.depth === 1 ? '\n' : '');
+  }
+  listItem(node) {
+    const inline = node.children.filter(child => child.type !== 'list').map(child => this.render(child)).join('');
+    const nested = node.children.filter(child => child.type === 'list').map(child => this.render(child)).join('');
+    return `${'  '.repeat(node.depth - 1)}- ${inline.trim()}\n${nested}`;
+  }
+  table(node) {
+    return this.block(node.children.map(row => row.children.map(cell => this.renderChildren(cell).trim()).join('\t')).join('\n'));
+  }
+  code(node) {
+    return this.block(node.value);
+  }
+  quote(node) {
+    return this.renderChildren(node);
+  }
+  hr() {
+    return '';
+  }
+  html() {
+    return '';
+  }
+  php() {
+    return '';
+  }
+  text(node) {
+    return node.value;
+  }
+  unformatted(node) {
+    return node.value;
+  }
+  linebreak() {
+    return '\n';
+  }
+  entity(node) {
+    return node.text;
+  }
+  acronym(node) {
+    return node.text;
+  }
+  smiley(node) {
+    return node.text;
+  }
+  macro() {
+    return '';
+  }
+  footnote(node) {
+    return ` (${this.renderChildren(node)})`;
+  }
+  link(node) {
+    return node.children.length ? this.renderChildren(node) : astText(node);
+  }
+  media(node) {
+    return node.title;
+  }
+}
+/**
+ * DokuMarkdownRenderer: Renders an AST to CommonMark with GitHub extensions (tables, strikethrough, footnotes).
+ *
+ * Internal links become relative paths between pages (`wiki:syntax` -> `../wiki/syntax.md`), media point at the
+ * parser's `mediaBasePath`. Constructs Markdown cannot express (rowspans, colspans, smileys, media sizes, macros,
+ * plugins, ...) are rendered as closely as possible and listed in `report` as `{ line, construct, message }`.
+ *
+ * @param {DokuParserJS} [parser] - Parser providing the current namespace, interwiki map and media path.
+ * @param {Object} [options] - Renderer options.
+ * @param {string} [options.extension='.md'] - Extension of linked pages.
+ */
+class DokuMarkdownRenderer extends DokuRenderer {
+  constructor(parser, { extension = '.md' } = {}) {
+    super(parser);
+    this.extension = extension;
+    this.report = [];
+    this.line = 0;
+  }
+  render(node) {
+    this.track(node);
+    return super.render(node);
+  }
+  track(node) {
+    if (node.position) this.line = node.position.start.line;
+  }
+  lossy(construct, message) {
+    this.report.push({ line: this.line, construct, message });
+  }
+  block(text) {
+    return text.trim() ? `${text.replace(/\s+$/, '')}\n\n` : '';
+  }
+  escape(text) {
+    const escaped = text.replace(/[\\`*[\]]|(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])|<(?=[a-zA-Z/!?])|~~/gu, (match) => `\\${match}`);
+    return this.inTable ? escaped.replace(/\|/g, '\\|') : escaped;
+  }
+  escapeLineStarts(text) {
+    return text
+      .replace(/^(#{1,6}(?=\s|$)|>|[-+](?=\s)|[-=](?=[-=\s]*$))/gm, '\\$1')
+      .replace(/^(\d+)([.)])(?=\s)/gm, '$1\\$2');
+  }
+  anchor(section) {
+    return this.parser.sectionId(section).replace(/_/g, '-');
+  }
+  document(node) {
+    this.footnotes = [];
+    this.report = [];
+    let markdown = this.renderChildren(node);
+    if (this.footnotes.length > 0) {
+      markdown += this.footnotes.map((note, index) => `[^${index + 1}]: ${note.replace(/\n/g, '\n    ')}`).join('\n') + '\n';
+    }
+    return markdown.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+  }
+  section(node) {
+    return this.block(`${'#'.repeat(node.level)} ${node.title.map(child => this.render(child)).join('').trim()}`) + this.renderChildren(node);
+  }
+  paragraph(node) {
+    return this.block(this.escapeLineStarts(this.renderChildren(node).replace(/^[ \t]+/gm, '').replace(/\n{2,}/g, '\n').trim()));
+  }
+  list(node) {
+    const items = node.children.map((item, index) => this.listItem(item, node.ordered ? `${index + 1}. ` : '- '));
+    return node.depth === 1 ? this.block(items.join('\n')) : items.join('\n');
+  }
+  listItem(node, marker = '- ') {
+    this.track(node);
+    const inline = this.escapeLineStarts(node.children.filter(child => child.type !== 'list').map(child => this.render(child)).join('').trim());
+    const nested = node.children.filter(child => child.type === 'list').map(child => `\n${this.render(child)}`).join('');
+    return `${marker}${inline}${nested}`.replace(/\n/g, `\n${' '.repeat(marker.length)}`);
+  }
+  table(node) {
+    if (!node.children.length) return '';
+    const width = Math.max(0, ...node.children.map(row => row.children.reduce((sum, cell) => Math.max(sum, cell.column + cell.colspan), 0)));
+    const aligns = new Array(width).fill(null);
+    this.inTable = true;
+    const rows = node.children.map((row, r) => {
+      this.track(row);
+      const cells = new Array(width).fill('');
+      row.children.forEach(cell => {
+        let text = this.renderChildren(cell).replace(/\s*\n\s*/g, ' ').trim();
+        if (cell.header && r > 0 && text) text = `**${text}**`;
+        cells[cell.column] = text;
+        if (cell.align && !aligns[cell.column]) aligns[cell.column] = cell.align;
+        if (cell.colspan > 1) this.lossy('colspan', `Cell spanning ${cell.colspan} columns is split into empty cells`);
+        if (cell.rowspan > 1) this.lossy('rowspan', `Cell spanning ${cell.rowspan} rows (:::) is split into empty cells`);
+      });
+      return `| ${cells.join(' | ')} |`;
+    });
+    this.inTable = false;
+    this.track(node);
+    if (node.children.length && node.children[0].children.some(cell => !cell.header)) this.lossy('table-header', 'First table row is not a header row but becomes the Markdown header');
+    if (node.children.slice(1).some(row => row.children.some(cell => cell.header))) this.lossy('table-header', 'Header cells below the first row are rendered bold');
+    const separator = `| ${aligns.map(align => ({ left: ':---', right: '---:', center: ':---:' })[align] || '---').join(' | ')} |`;
+    return this.block([rows[0], separator, ...rows.slice(1)].join('\n'));
+  }
+  code(node) {
+    if (node.filename) this.lossy('code-filename', `Download name ${node.filename} of the code block is dropped`);
+    const fence = '`'.repeat(Math.max(3, ...(node.value.match(/`+/g) || []).map(run => run.length + 1)));
+    // The fence needs a line of its own when the block was opened inside a paragraph or list item
+    return this.block(`\n${fence}${node.lang || ''}\n${node.value.replace(/\n$/, '')}\n${fence}`);
+  }
+  quote(node) {
+    return this.block(this.renderChildren(node).trim().replace(/^/gm, '> ').replace(/^> $/gm, '>'));
+  }
+  hr() {
+    return this.block('---');
+  }
+  html(node) {
+    return node.block ? this.block(node.value) : node.value;
+  }
+  php(node) {
+    this.lossy('php', 'PHP block is shown as code');
+    return this.block(`\`\`\`php\n${node.value.trim()}\n\`\`\``);
+  }
+  text(node) {
+    return this.escape(node.value);
+  }
+  unformatted(node) {
+    return this.escape(node.value);
+  }
+  strong(node) {
+    return `**${this.renderChildren(node)}**`;
+  }
+  emphasis(node) {
+    return `*${this.renderChildren(node)}*`;
+  }
+  underline(node) {
+    return `<u>${this.renderChildren(node)}</u>`;
+  }
+  monospace(node) {
+    if (node.children.every(child => child.type === 'text' || child.type === 'unformatted')) {
+      const code = astText(node);
+      const fence = '`'.repeat(Math.max(1, ...(code.match(/`+/g) || []).map(run => run.length + 1)));
+      return fence.length > 1 || /^\s|\s$/.test(code) ? `${fence} ${code} ${fence}` : `\`${code}\``;
+    }
+    return `<code>${this.renderChildren(node)}</code>`;
+  }
+  subscript(node) {
+    return `<sub>${this.renderChildren(node)}</sub>`;
+  }
+  superscript(node) {
+    return `<sup>${this.renderChildren(node)}</sup>`;
+  }
+  deleted(node) {
+    return `~~${this.renderChildren(node)}~~`;
+  }
+  linebreak() {
+    return this.inTable ? '<br>' : '\\\n';
+  }
+  entity(node) {
+    return this.escape(node.text);
+  }
+  acronym(node) {
+    return `<abbr title="${this.parser.escapeEntities(node.title)}">${this.escape(node.text)}</abbr>`;
+  }
+  smiley(node) {
+    this.lossy('smiley', `Smiley ${node.text} is kept as text`);
+    return this.escape(node.text);
+  }
+  macro(node) {
+    this.lossy('macro', node.name === 'rss' ? `RSS feed ${node.value} is dropped` : `Macro ~~${node.name}~~ is dropped`);
+    return '';
+  }
+  include(node) {
+    this.lossy('include', `Included ${node.kind} ${node.value} becomes a link`);
+    return this.block(`[${this.escape(node.target)}](${this.pagePath(node.id)}${node.section ? `#${this.anchor(node.section)}` : ''})`);
+  }
+  plugin(node) {
+    this.lossy('plugin', `Syntax plugin ${node.name} is not converted`);
+    if (!node.block) return this.escape(node.value);
+    return this.renderChildren(this.parser.childParser().parseToAST(node.value || ''));
+  }
+  footnote(node) {
+    this.footnotes.push(this.renderChildren(node).trim());
+    return `[^${this.footnotes.length}]`;
+  }
+  pagePath(id) {
+    const from = this.parser.currentNamespace ? this.parser.currentNamespace.split(':') : [];
+    const to = id.split(':');
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+    return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/') + this.extension;
+  }
+  link(node) {
+    const text = node.children.length ? this.renderChildren(node) : null;
+    const url = (href) => (/[\s()<>]/.test(href) ? `<${href.replace(/>/g, '%3E')}>` : href);
+    switch (node.linkType) {
+      case 'interwiki':
+        if (!node.url) {
+          this.lossy('interwiki', `Unknown interwiki prefix ${node.wiki} is kept as text`);
+          return text || this.escape(node.target);
+        }
+        return `[${text || this.escape(node.page)}](${url(node.url)})`;
+      case 'external':
+        return text || !node.bare || node.target !== node.url ? `[${text || this.escape(node.target)}](${url(node.url)})` : `<${node.url}>`;
+      case 'email':
+        return text ? `[${text}](mailto:${node.target})` : `<${node.target}>`;
+      case 'windowsshare':
+        return `[${text || this.escape(node.target)}](${url(node.url)})`;
+      default:
+        if (!node.page) return `[${text || this.escape(node.section)}](#${this.anchor(node.section)})`;
+        return `[${text || this.escape(node.page)}](${url(this.pagePath(node.id) + (node.section ? `#${this.anchor(node.section)}` : ''))})`;
+    }
+  }
+  media(node) {
+    const src = this.parser.mediaHref(node.external ? node.src : `:${node.id}`);
+    const title = this.escape(node.title || '');
+    if (node.width || node.height) this.lossy('media-size', `Size of ${node.src} is dropped`);
+    if (node.align) this.lossy('media-align', `Alignment of ${node.src} is dropped`);
+    if (!/\.(png|jpe?g|gif|svg|webp)$/i.test(node.src) || node.linking === 'linkonly') return `[${title || this.escape(node.src.split(/[:/]/).pop())}](${src})`;
+    return `![${title}](${src})`;
+  }
+}
+/**
+ * DokuSearchIndex: Full-text index over page bodies and headings, serializable to JSON.
+ *
+ * Queries follow DokuWiki's search syntax: plain words must all match, `"a phrase"` must appear verbatim,
+ * `-word` / `-"phrase"` exclude pages, `word*` / `*word` match prefixes/suffixes, `@ns` restricts results to a
+ * namespace and `^ns` excludes one.
+ *
+ * @example
+ * const index = DokuSearchIndex.build([{ id: 'wiki:syntax', text: '====== Formatting Syntax ======' }]);
+ * const json = JSON.stringify(index);
+ * const results = DokuSearchIndex.fromJSON(JSON.parse(json)).search('syntax @wiki');
+ *
+ * @param {Object} [data] - Serialized index (`{ version, docs, terms }`), as produced by `toJSON()`.
+ */
+class DokuSearchIndex {
+  constructor(data = {}) {
+    this.docs = data.docs || [];
+    this.terms = data.terms || {};
+  }
+  static tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(word => word.length >= 2);
+  }
+  static build(pages, options = {}) {
+    const index = new DokuSearchIndex();
+    pages.forEach(page => index.add(page.id, page.text, options));
+    return index;
+  }
+  static fromJSON(data) {
+    if (!data || data.version !== DokuSearchIndex.VERSION) throw new Error('Unsupported search index version');
+    return new DokuSearchIndex(data);
+  }
+  add(id, text, options = {}) {
+    const namespace = id.split(':').slice(0, -1).join(':');
+    const parser = new DokuParserJS({ ...options, currentNamespace: namespace });
+    const ast = parser.parseToAST(text);
+    const headings = [];
+    visitAST(ast, node => {
+      if (node.type === 'section') headings.push(astText({ children: node.title }).trim());
+    });
+    const body = parser.render(ast, new DokuTextRenderer(parser));
+    // Adding a page again replaces it, so saved edits can be applied to a loaded index
+    let doc = this.docs.findIndex(entry => entry.id === id);
+    if (doc === -1) {
+      doc = this.docs.length;
+    } else {
+      Object.keys(this.terms).forEach(term => {
+        const postings = this.terms[term].filter(([posting]) => posting !== doc);
+        if (postings.length) this.terms[term] = postings;
+        else delete this.terms[term];
+      });
+    }
+    this.docs[doc] = { id, title: headings[0] || id.split(':').pop(), namespace, headings, text: body };
+    const counts = new Map();
+    DokuSearchIndex.tokenize(body).forEach(term => {
+      counts.set(term, (counts.get(term) || [0, 0]));
+      counts.get(term)[0]++;
+    });
+    DokuSearchIndex.tokenize(headings.join(' ')).forEach(term => {
+      if (counts.has(term)) counts.get(term)[1]++;
+    });
+    counts.forEach(([count, headingCount], term) => {
+      if (!Object.prototype.hasOwnProperty.call(this.terms, term)) this.terms[term] = [];
+      this.terms[term].push([doc, count, headingCount]);
+    });
+  }
+  toJSON() {
+    return { version: DokuSearchIndex.VERSION, docs: this.docs, terms: this.terms };
+  }
+  parseQuery(query) {
+    const parsed = { words: [], phrases: [], excludeWords: [], excludePhrases: [], namespaces: [], excludeNamespaces: [] };
+    const tokens = query.match(/-?"[^"]*"|\S+/g) || [];
+    tokens.forEach(token => {
+      const exclude = token.startsWith('-') && token.length > 1;
+      const body = exclude ? token.slice(1) : token;
+      if (body.startsWith('@') && body.length > 1) {
+        parsed.namespaces.push(body.slice(1).replace(/^:|:$/g, ''));
+      } else if (body.startsWith('^') && body.length > 1) {
+        parsed.excludeNamespaces.push(body.slice(1).replace(/^:|:$/g, ''));
+      } else if (body.startsWith('"')) {
+        const phrase = body.replace(/"/g, '').trim().toLowerCase();
+        if (phrase) (exclude ? parsed.excludePhrases : parsed.phrases).push(phrase);
+      } else {
+        const words = body.toLowerCase().match(/\*?[\p{L}\p{N}_]+\*?/gu) || [];
+        (exclude ? parsed.excludeWords : parsed.words).push(...words.filter(word => word.replace(/\*/g, '').length >= 2));
+      }
+    });
+    return parsed;
+  }
+  lookup(word) {
+    if (!word.includes('*')) {
+      return Object.prototype.hasOwnProperty.call(this.terms, word) ? [[word, this.terms[word]]] : [];
+    }
+    const pattern = new RegExp(`^${word.replace(/\*/g, '.*')}$`);
+    return Object.keys(this.terms).filter(term => pattern.test(term)).map(term => [term, this.terms[term]]);
+  }
+  search(query, { limit = 50 } = {}) {
+    const parsed = this.parseQuery(query);
+    const required = [...parsed.words, ...parsed.phrases.flatMap(phrase => DokuSearchIndex.tokenize(phrase))];
+    if (!required.length) return [];
+    let scores = null;
+    const matchedTerms = new Set();
+    required.forEach(word => {
+      const wordScores = new Map();
+      this.lookup(word).forEach(([term, postings]) => {
+        matchedTerms.add(term);
+        const idf = Math.log(1 + this.docs.length / postings.length);
+        postings.forEach(([doc, count, headingCount]) => {
+          wordScores.set(doc, (wordScores.get(doc) || 0) + (count + headingCount * 5) * idf);
+        });
+      });
+      if (scores === null) {
+        scores = wordScores;
+      } else {
+        const next = new Map();
+        scores.forEach((score, doc) => {
+          if (wordScores.has(doc)) next.set(doc, score + wordScores.get(doc));
+        });
+        scores = next;
+      }
+    });
+    const excluded = new Set();
+    parsed.excludeWords.forEach(word => this.lookup(word).forEach(([, postings]) => postings.forEach(([doc]) => excluded.add(doc))));
+    const inNamespace = (doc, ns) => doc.namespace === ns || doc.namespace.startsWith(`${ns}:`);
+    const results = [];
+    scores.forEach((score, index) => {
+      const doc = this.docs[index];
+      if (excluded.has(index)) return;
+      if (parsed.namespaces.length && !parsed.namespaces.some(ns => inNamespace(doc, ns))) return;
+      if (parsed.excludeNamespaces.some(ns => inNamespace(doc, ns))) return;
+      const haystack = doc.text.toLowerCase().replace(/\s+/g, ' ');
+      if (!parsed.phrases.every(phrase => haystack.includes(phrase))) return;
+      if (parsed.excludePhrases.some(phrase => haystack.includes(phrase))) return;
+      const idBonus = required.some(word => doc.id.toLowerCase().includes(word.replace(/\*/g, ''))) ? 10 : 0;
+      results.push({ id: doc.id, title: doc.title, namespace: doc.namespace, score: score + idBonus, snippet: this.snippet(doc.text, [...parsed.phrases, ...matchedTerms]) });
+    });
+    return results.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id)).slice(0, limit);
+  }
+  snippet(text, needles, radius = 80) {
+    const escape = (str) => DokuParserJS.prototype.escapeEntities(str);
+    const flat = text.replace(/\s+/g, ' ');
+    const sorted = needles.filter(Boolean).sort((a, b) => b.length - a.length);
+    const pattern = sorted.length ? new RegExp(sorted.map(needle => needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi') : null;
+    const lower = flat.toLowerCase();
+    const first = Math.max(0, sorted.map(needle => lower.indexOf(needle.toLowerCase())).find(pos => pos >= 0) || 0);
+    const start = Math.max(0, first - radius);
+    const end = Math.min(flat.length, first + radius * 2);
+    const slice = flat.slice(start, end);
+    let snippet = '';
+    let last = 0;
+    if (pattern) {
+      slice.replace(pattern, (match, offset) => {
+        snippet += `${escape(slice.slice(last, offset))}<strong class="search_hit">${escape(match)}</strong>`;
+        last = offset + match.length;
+        return match;
+      });
+    }
+    snippet += escape(slice.slice(last));
+    if (start > 0) snippet = `…${snippet}`;
+    if (end < flat.length) snippet += '…';
+    return snippet;
+  }
+}
+DokuSearchIndex.VERSION = 1;
+/**
+ * DokuLinkGraph: Outgoing references of every page plus the reverse (backlink) and media-usage maps.
+ *
+ * @example
+ * const graph = DokuLinkGraph.build(pages); // pages: [{ id, text }]
+ * graph.backlinks('wiki:syntax'); // ['wiki:welcome']
+ * graph.brokenLinks(); // [{ from: 'wiki:welcome', to: 'start', line: 9 }]
+ * graph.add('wiki:welcome', editedText); // replaces the page's references
+ *
+ * @param {Object} [data] - Serialized graph (`{ version, pages }`), as produced by `toJSON()`.
+ */
+class DokuLinkGraph {
+  constructor(data = {}) {
+    this.pages = data.pages || {};
+  }
+  static build(pages, options = {}) {
+    const graph = new DokuLinkGraph();
+    const ids = pages.map(page => page.id);
+    pages.forEach(page => {
+      const parser = new DokuParserJS({ ...options, currentNamespace: page.id.split(':').slice(0, -1).join(':'), pageExists: ids });
+      graph.pages[page.id] = parser.collectReferences(page.text);
+    });
+    return graph;
+  }
+  static fromJSON(data) {
+    if (!data || data.version !== DokuLinkGraph.VERSION) throw new Error('Unsupported link graph version');
+    return new DokuLinkGraph(data);
+  }
+  add(id, text, options = {}) {
+    const ids = Object.keys(this.pages);
+    if (!ids.includes(id)) ids.push(id);
+    const parser = new DokuParserJS({ ...options, currentNamespace: id.split(':').slice(0, -1).join(':'), pageExists: ids });
+    this.pages[id] = parser.collectReferences(text);
+  }
+  toJSON() {
+    return { version: DokuLinkGraph.VERSION, pages: this.pages };
+  }
+  outgoing(id) {
+    return this.pages[id] || { internal: [], interwiki: [], external: [], email: [], media: [] };
+  }
+  backlinks(id) {
+    return Object.keys(this.pages).filter(from => from !== id && this.pages[from].internal.some(ref => ref.id === id)).sort();
+  }
+  mediaUsage(mediaId) {
+    return Object.keys(this.pages).filter(from => this.pages[from].media.some(ref => ref.id === mediaId)).sort();
+  }
+  orphans() {
+    const linked = new Set();
+    Object.entries(this.pages).forEach(([from, refs]) => refs.internal.forEach(ref => {
+      if (ref.id !== from) linked.add(ref.id);
+    }));
+    return Object.keys(this.pages).filter(id => !linked.has(id)).sort();
+  }
+  brokenLinks() {
+    const broken = [];
+    Object.entries(this.pages).forEach(([from, refs]) => refs.internal.forEach(ref => {
+      if (!Object.prototype.hasOwnProperty.call(this.pages, ref.id)) broken.push({ from, to: ref.id, line: ref.line });
+    }));
+    return broken.sort((a, b) => a.to.localeCompare(b.to) || a.from.localeCompare(b.from));
+  }
+}
+DokuLinkGraph.VERSION = 1;
+DokuParserJS.Renderer = DokuRenderer;
+DokuParserJS.HtmlRenderer = DokuHtmlRenderer;
+DokuParserJS.TextRenderer = DokuTextRenderer;
+DokuParserJS.MarkdownRenderer = DokuMarkdownRenderer;
+DokuParserJS.astText = astText;
+DokuParserJS.visit = visitAST;
+DokuParserJS.SearchIndex = DokuSearchIndex;
+DokuParserJS.LinkGraph = DokuLinkGraph;
+DokuParserJS.registerGrammar = registerGrammar;
+DokuParserJS.highlight = highlightCode;
+DokuParserJS.parseFeed = parseFeed;
+DokuParserJS.parseChangelog = parseChangelog;
+DokuParserJS.parseConf = parseConf;
+DokuParserJS.MEDIA_TYPES = MEDIA_TYPES;
+DokuParserJS.formatSize = formatSize;
+DokuParserJS.diff = diffLines;
+DokuParserJS.diffHtml = diffHtml;
+DokuParserJS.markdownToDoku = markdownToDoku;
+DokuParserJS.registerPlugin = registerPlugin;
+DokuParserJS.unregisterPlugin = (name) => SYNTAX_PLUGINS.delete(name);
+DokuParserJS.plugins = () => [...SYNTAX_PLUGINS.values()];
+DokuParserJS.PRIORITY = RULE_PRIORITY;
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = DokuParserJS;
   if (require.main === module) {
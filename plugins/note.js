@@ -0,0 +1,25 @@
+/**
+ * Note syntax plugin for DokuParserJS, following the DokuWiki note plugin.
+ *
+ * @example
+ * <note warning>
+ * Back up your data first.
+ * </note>
+ *
+ * Types are `classic` (default), `important`, `warning` and `tip`; they map to the `noteclassic`, `noteimportant`,
+ * `notewarning` and `notetip` classes.
+ */
+(function (DokuParserJS) {
+  const types = ['classic', 'important', 'warning', 'tip'];
+  DokuParserJS.registerPlugin({
+    name: 'note',
+    type: 'block',
+    pattern: /^<note(?:\s+(\w+))?>$/i,
+    end: /^<\/note>$/i,
+    render: (match, { render, content }) => {
+      const type = types.includes((match[1] || '').toLowerCase()) ? match[1].toLowerCase() : 'classic';
+      return `<div class="plugin_note note${type}">${render(content)}</div>`;
+    },
+    info: { description: 'Highlighted notes: <note classic|important|warning|tip>...</note>', url: 'https://www.dokuwiki.org/plugin:note' }
+  });
+})(typeof module !== 'undefined' && module.exports ? require('../dokuparserjs.js') : window.DokuParserJS);
@@ -0,0 +1,22 @@
+/**
+ * Tag syntax plugin for DokuParserJS, following the DokuWiki tag plugin.
+ *
+ * `{{tag>tag1 tag2 "multi word"}}` renders a tag list linking every tag to its page in the `tag` namespace
+ * (`tag:tag1`, ...); tags that already name a namespace (`ns:tag`) link there instead.
+ */
+(function (DokuParserJS) {
+  DokuParserJS.registerPlugin({
+    name: 'tag',
+    pattern: /\{\{tag>([^}]*)\}\}/,
+    render: (match, { parser }) => {
+      const tags = (match[1].match(/"[^"]+"|\S+/g) || []).map(tag => tag.replace(/^"|"$/g, '').trim()).filter(Boolean);
+      if (!tags.length) return '';
+      const links = tags.map(tag => {
+        const id = tag.includes(':') ? tag.replace(/\s+/g, '_') : `tag:${tag.replace(/\s+/g, '_')}`;
+        return parser.internalLink(`:${id}`, '', parser.escapeEntities(tag.split(':').pop()));
+      });
+      return `<div class="tags"><span>${links.join(',\n')}</span></div>`;
+    },
+    info: { description: 'Page tags: {{tag>tag1 tag2}}', url: 'https://www.dokuwiki.org/plugin:tag' }
+  });
+})(typeof module !== 'undefined' && module.exports ? require('../dokuparserjs.js') : window.DokuParserJS);
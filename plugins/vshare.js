@@ -0,0 +1,30 @@
+/**
+ * Video sharing plugin for DokuParserJS, following the DokuWiki vshare plugin.
+ *
+ * `{{youtube>VIDEO_ID}}` and `{{vimeo>VIDEO_ID}}` embed the provider's player in an `<iframe>`. A size can follow as
+ * `?small`, `?medium` (default), `?large` or `?WIDTHxHEIGHT`, a title after `|`, and spaces inside the braces align
+ * the player like media (`{{ youtube>id}}` floats right).
+ *
+ * Embeds load third-party content, so the plugin is not loaded by default. With `safeMode` the host page also has to
+ * allow the players: `allowedFrames: ['https://www.youtube-nocookie.com/embed/', 'https://player.vimeo.com/video/']`.
+ */
+(function (DokuParserJS) {
+  const players = {
+    youtube: (id) => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}`,
+    vimeo: (id) => `https://player.vimeo.com/video/${encodeURIComponent(id)}`
+  };
+  const sizes = { small: [255, 143], medium: [425, 239], large: [520, 293] };
+  DokuParserJS.registerPlugin({
+    name: 'vshare',
+    pattern: /\{\{(\s?)(youtube|vimeo)>([\w-]+)(?:\?([^}|]*?))?(\s?)(?:\|([^}]*))?\}\}/,
+    render: (match, { parser }) => {
+      const [, left, provider, id, param = '', right, title = ''] = match;
+      const size = param.match(/^(\d+)x(\d+)$/);
+      const [width, height] = size ? [Number(size[1]), Number(size[2])] : (sizes[param.trim()] || sizes.medium);
+      const align = left && right ? 'center' : left ? 'right' : right ? 'left' : '';
+      const attr = (value) => parser.escapeEntities(String(value));
+      return `<iframe src="${attr(players[provider](id))}" width="${width}" height="${height}" class="vshare${align ? ` media${align}` : ''}" title="${attr(title.trim() || `${provider} video`)}" loading="lazy" allow="fullscreen" allowfullscreen></iframe>`;
+    },
+    info: { description: 'Embedded videos: {{youtube>id}}, {{vimeo>id}}', url: 'https://www.dokuwiki.org/plugin:vshare' }
+  });
+})(typeof module !== 'undefined' && module.exports ? require('../dokuparserjs.js') : window.DokuParserJS);
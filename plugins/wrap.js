@@ -0,0 +1,35 @@
+/**
+ * WRAP syntax plugin for DokuParserJS, following the DokuWiki wrap plugin.
+ *
+ * Block boxes span whole lines, inline spans sit inside text; both take space separated classes
+ * (`box`, `info`, `tip`, `important`, `alert`, `help`, `download`, `todo`, `center`, `left`, `right`, `half`, ...)
+ * and an optional `#id`:
+ *
+ * @example
+ * <WRAP center round box half>
+ * Boxed **wiki** text.
+ * </WRAP>
+ * Some <wrap hi>highlighted</wrap> text.
+ */
+(function (DokuParserJS) {
+  const attributes = (params = '') => {
+    const words = params.trim().split(/\s+/).filter(Boolean);
+    const id = words.find(word => /^#[\w-]+$/.test(word));
+    const classes = words.filter(word => /^[\w-]+$/.test(word)).map(word => `wrap_${word.toLowerCase()}`);
+    return `${id ? ` id="${id.slice(1)}"` : ''} class="${['plugin_wrap', ...classes].join(' ')}"`;
+  };
+  DokuParserJS.registerPlugin({
+    name: 'wrap',
+    type: 'block',
+    pattern: /^<WRAP(?:\s+([^>]*))?>$/,
+    end: /^<\/WRAP>$/,
+    render: (match, { render, content }) => `<div${attributes(match[1])}>${render(content)}</div>`,
+    info: { description: 'Boxes and columns: <WRAP classes>...</WRAP>', url: 'https://www.dokuwiki.org/plugin:wrap' }
+  });
+  DokuParserJS.registerPlugin({
+    name: 'wrap_inline',
+    pattern: /<wrap(?:\s+([^>]*))?>(.*?)<\/wrap>/,
+    render: (match, { render }) => `<span${attributes(match[1])}>${render(match[2])}</span>`,
+    info: { description: 'Inline spans: <wrap classes>...</wrap>', url: 'https://www.dokuwiki.org/plugin:wrap' }
+  });
+})(typeof module !== 'undefined' && module.exports ? require('../dokuparserjs.js') : window.DokuParserJS);
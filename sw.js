@@ -0,0 +1,107 @@
+/**
+ * Service worker for offline reading in the DokuWiki reader (index.html).
+ *
+ * The app shell (index.html, dokuparserjs.js, the syntax plugins, the CDN scripts index.html loads and the page
+ * manifest) is precached on install. Every other same-origin GET is served stale-while-revalidate: a cached copy
+ * answers at once while the network refreshes it in the background, so visited pages, media and directory listings
+ * stay readable without a connection. Only successful responses are stored, and the content cache keeps the
+ * `MAX_CONTENT_ENTRIES` most recently stored ones; other cross-origin requests are left to the browser. Requests made
+ * with `cache: 'no-cache'` (manifest, changelogs) or media linked with `?recache` go to the network first and fall back
+ * to the cache; media linked with `?nocache` bypass the cache entirely.
+ *
+ * Cached responses carry an `X-Offline-Synced` header with the time they were stored. Clients are told about each
+ * refresh with `{ type: 'synced', url, synced }`; posting `{ type: 'cache-all', urls }` downloads a list of pages and
+ * media, answered with `{ type: 'cache-all-done', cached, failed }`.
+ */
+const SHELL_CACHE = 'dokuwiki-shell-v1';
+const CONTENT_CACHE = 'dokuwiki-content-v1';
+const SHELL_FILES = [
+  './', 'index.html', 'dokuparserjs.js', 'plugins/wrap.js', 'plugins/note.js', 'plugins/tag.js', 'pages.json',
+  'https://cdn.tailwindcss.com', 'https://cdn.jsdelivr.net/npm/feather-icons/dist/feather.min.js'
+];
+const MAX_CONTENT_ENTRIES = 2000;
+const SYNCED_HEADER = 'X-Offline-Synced';
+function isShellFile(url) {
+  return SHELL_FILES.some(file => new URL(file, self.registration.scope).href === url.split('#')[0]);
+}
+async function trim(cache) {
+  // cache.put() moves a replaced entry to the end, so the first keys are the least recently stored
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CONTENT_ENTRIES)).map(key => cache.delete(key)));
+}
+async function store(request, response) {
+  // Shell scripts from the CDN are fetched in CORS mode on install; anything else from another origin is not kept
+  const shell = isShellFile(request.url);
+  if (!response || !response.ok || (response.type !== 'basic' && !shell)) return response;
+  const synced = new Date().toISOString();
+  const headers = new Headers(response.headers);
+  headers.set(SYNCED_HEADER, synced);
+  const copy = new Response(await response.clone().blob(), { status: response.status, statusText: response.statusText, headers });
+  const cache = await caches.open(shell ? SHELL_CACHE : CONTENT_CACHE);
+  await cache.put(request, copy);
+  if (!shell) await trim(cache);
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage({ type: 'synced', url: request.url, synced }));
+  return response;
+}
+async function staleWhileRevalidate(event) {
+  const cached = await caches.match(event.request);
+  const network = fetch(event.request).then(response => store(event.request, response));
+  if (cached) {
+    event.waitUntil(network.catch(() => null));
+    return cached;
+  }
+  return network;
+}
+async function networkFirst(request) {
+  try {
+    return await store(request, await fetch(request));
+  } catch (e) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+async function cacheAll(urls) {
+  let cached = 0;
+  const failed = [];
+  for (const url of urls) {
+    try {
+      const request = new Request(url);
+      const response = await fetch(request);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await store(request, response);
+      cached++;
+    } catch (e) {
+      failed.push({ url, error: e.message });
+    }
+  }
+  return { cached, failed };
+}
+self.addEventListener('install', event => {
+  event.waitUntil(Promise.all(SHELL_FILES.map(file => fetch(file, { cache: 'no-cache' })
+    .then(response => store(new Request(new URL(file, self.registration.scope).href), response))
+    .catch(() => null)))
+    .then(() => self.skipWaiting()));
+});
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key.startsWith('dokuwiki-') && key !== SHELL_CACHE && key !== CONTENT_CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || request.headers.has('range') || !/^https?:/.test(request.url)) return;
+  if (new URL(request.url).origin !== self.location.origin && !isShellFile(request.url)) return;
+  const mediaCache = new URL(request.url).searchParams.get('cache');
+  if (mediaCache === 'nocache') return;
+  if (mediaCache === 'recache' || request.cache === 'no-cache' || request.cache === 'reload' || request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event));
+});
+self.addEventListener('message', event => {
+  if (!event.data || event.data.type !== 'cache-all') return;
+  event.waitUntil(cacheAll(event.data.urls || []).then(result => event.source.postMessage({ type: 'cache-all-done', ...result })));
+});
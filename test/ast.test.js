@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const page = '====== Title ======\nSome **bold** [[wiki:page|link]].\n\n  * one\n  * two\n\n^ a ^ b ^\n| 1 | 2 |\n';
+
+test('parseToAST returns typed nodes with positions', () => {
+  const ast = new DokuParserJS().parseToAST(page);
+  assert.strictEqual(ast.type, 'document');
+  const [section] = ast.children;
+  assert.strictEqual(section.type, 'section');
+  assert.strictEqual(section.level, 1);
+  assert.deepStrictEqual(section.children.map(node => node.type), ['paragraph', 'list', 'table']);
+  const strong = section.children[0].children.find(node => node.type === 'strong');
+  assert.deepStrictEqual(strong.position.start, { line: 2, column: 6, offset: 25 });
+  const link = section.children[0].children.find(node => node.type === 'link');
+  assert.strictEqual(link.linkType, 'internal');
+  assert.strictEqual(link.id, 'wiki:page');
+  assert.strictEqual(DokuParserJS.astText(link), 'link');
+});
+
+test('parse() is the HTML renderer applied to the tree', () => {
+  const parser = new DokuParserJS();
+  assert.strictEqual(parser.parse(page), parser.render(parser.parseToAST(page)));
+  assert.strictEqual(parser.parse(page), parser.render(page, new DokuParserJS.HtmlRenderer(parser)));
+});
+
+test('TextRenderer emits plain text', () => {
+  const parser = new DokuParserJS();
+  assert.strictEqual(parser.render(page, new DokuParserJS.TextRenderer(parser)), 'Title\n\nSome bold link.\n\n- one\n- two\n\na\tb\n1\t2');
+});
+
+test('renderer subclasses override single node types', () => {
+  class Shouting extends DokuParserJS.HtmlRenderer {
+    strong(node) {
+      return `<b>${this.renderChildren(node).toUpperCase()}</b>`;
+    }
+  }
+  const parser = new DokuParserJS();
+  assert.strictEqual(parser.render('a **b** c', new Shouting(parser)), '<div class="page group"><p>a <b>B</b> c</p></div>');
+});
+
+test('links do not nest and media inside a link is not linked again', () => {
+  const html = new DokuParserJS({ currentNamespace: 'wiki' }).parse('[[http://php.net|{{wiki:dokuwiki-128.png}}]]');
+  assert.strictEqual(html, '<div class="page group"><p><a href="http://php.net" class="urlextern" title="http://php.net" rel="nofollow"><img src="/data/media/wiki/dokuwiki-128.png" class="media" alt="" loading="lazy" /></a></p></div>');
+});
+
+test('visit walks every node with its parent', () => {
+  const types = [];
+  DokuParserJS.visit(new DokuParserJS().parseToAST(page), (node, parent) => {
+    if (node.type === 'listItem') types.push(parent.type);
+  });
+  assert.deepStrictEqual(types, ['list', 'list']);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('code blocks without a filename stay plain <pre> blocks', () => {
+  const html = new DokuParserJS({ highlight: false }).parse('<code php>\necho "<b>";\n</code>');
+  assert.ok(html.includes('<pre class="code php">echo &quot;&lt;b&gt;&quot;;</pre>'));
+});
+
+test('named blocks get a download caption and are collected', () => {
+  const parser = new DokuParserJS();
+  const html = parser.parse('<file - notes.TXT>\nplain\n</file>');
+  assert.ok(html.includes('<dl class="file"><dt><a href="#" title="Download Snippet" class="mediafile mf_txt" download="notes.TXT" data-codeblock="0">notes.TXT</a></dt><dd><pre class="file">plain</pre></dd></dl>'));
+  assert.deepStrictEqual(parser.codeBlocks, [{ index: 0, kind: 'file', lang: null, filename: 'notes.TXT', content: 'plain' }]);
+});
+
+test('codeBlockHref supplies the download URL', () => {
+  const parser = new DokuParserJS({ codeBlockHref: block => `dl/${block.index}/${block.filename}` });
+  const html = parser.parse('<code js a.js>\n1\n</code>\n\n<code js b"c.js>\n2\n</code>');
+  assert.ok(html.includes('href="dl/0/a.js"'));
+  assert.ok(html.includes('href="dl/1/b&quot;c.js"'));
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const options = DokuParserJS.configOptions(new Map([
+  ['interwiki.conf', 'php https://www.php.net/{NAME}\ngo https://example.com/search?host={HOST}&path={PATH}'],
+  ['entities.conf', '-> &rarr;\n(c) &copy;\n(p) &#8471;'],
+  ['acronyms.conf', 'HTML HyperText Markup Language\nCSS Cascading Style Sheets'],
+  ['acronyms.local.conf', 'CSS Custom Style Sheets']
+]));
+
+test('parseConf strips comments, unescapes \\# and lets later lines win', () => {
+  assert.deepStrictEqual(DokuParserJS.parseConf('# comment\nphp  https://www.php.net/{NAME}  # trailing\nhash  a\\#b\nent &#169; x\n\nphp https://php.net/{URL}'),
+    { php: 'https://php.net/{URL}', hash: 'a#b', ent: '&#169; x' });
+});
+
+test('interwiki URLs fill in DokuWiki placeholders and this> stays relative', () => {
+  const html = new DokuParserJS(options).parse('[[php>str replace]] [[go>https://x.org/a/b?q=1|go]] [[this>doku.php?id=x|self]]');
+  assert.ok(html.includes('<a href="https://www.php.net/str replace" class="interwiki iw_php"'));
+  assert.ok(html.includes('<a href="https://example.com/search?host=x.org&amp;path=/a/b" class="interwiki iw_go"'));
+  assert.ok(html.includes('<a href="doku.php?id=x" class="interwiki iw_this" title="doku.php?id=x"'));
+});
+
+test('entities and acronyms from the conf files replace the built-in sets', () => {
+  assert.strictEqual(new DokuParserJS(options).parse('HTML and CSS, not HTMLX, a -> b (P) (c) <=> c'),
+    '<div class="page group"><p><abbr title="HyperText Markup Language">HTML</abbr> and <abbr title="Custom Style Sheets">CSS</abbr>, not HTMLX, a &rarr; b &#8471; &copy; &lt;=&gt; c</p></div>');
+});
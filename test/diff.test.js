@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('diff pairs changed lines and keeps equal ones', () => {
+  const rows = DokuParserJS.diff('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+  assert.deepStrictEqual(rows.map(row => row.type), ['equal', 'change', 'equal', 'equal', 'insert']);
+  assert.deepStrictEqual(rows[1], { type: 'change', oldLine: 2, newLine: 2, old: 'b', new: 'B' });
+});
+
+test('diffHtml shows only the context around changes', () => {
+  const oldText = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+  const newText = oldText.replace('line 10', 'line ten');
+  const html = DokuParserJS.diffHtml(oldText, newText, { context: 1 });
+  assert.strictEqual((html.match(/diff-context/g) || []).length, 4);
+  assert.match(html, /Line 10:/);
+  assert.match(html, /<del>10<\/del>/);
+  assert.match(html, /<strong>ten<\/strong>/);
+});
+
+test('large revisions diff without quadratic time or memory', () => {
+  const oldLines = Array.from({ length: 50000 }, (_, i) => `line ${i}`);
+  const newLines = oldLines.map((line, i) => (i % 10 === 0 ? `${line} changed` : line));
+  const start = Date.now();
+  const html = DokuParserJS.diffHtml(oldLines.join('\n'), newLines.join('\n'));
+  assert.strictEqual((html.match(/diff-addedline/g) || []).length, 5000);
+  assert.ok(Date.now() - start < 5000, `took ${Date.now() - start} ms`);
+});
+
+test('parseChangelog reads tab-separated changelog lines', () => {
+  const log = DokuParserJS.parseChangelog('1700000000\t127.0.0.1\tC\twiki:page\tadmin\tcreated\t\t42\n\nbroken line\n1700000100\t::1\te\twiki:page\t\tfix typo\t\t-3\n');
+  assert.deepStrictEqual(log, [
+    { date: 1700000000, ip: '127.0.0.1', type: 'C', id: 'wiki:page', user: 'admin', summary: 'created', extra: '', sizeChange: 42 },
+    { date: 1700000100, ip: '::1', type: 'e', id: 'wiki:page', user: '', summary: 'fix typo', extra: '', sizeChange: -3 }
+  ]);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DokuParserJS = require('../dokuparserjs.js');
+
+function exportPages(pages, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dokuparserjs-'));
+  Object.entries(pages).forEach(([file, text]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, 'pages', file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'pages', file), text);
+  });
+  DokuParserJS.exportSite(path.join(dir, 'pages'), path.join(dir, 'out'), options);
+  return dir;
+}
+
+test('sitemap locations are absolute URLs under the base URL', (t) => {
+  const dir = exportPages({ 'start.txt': 'Home', 'wiki/syntax.txt': 'Syntax' }, { baseUrl: 'https://wiki.example/docs' });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sitemap = fs.readFileSync(path.join(dir, 'out', 'sitemap.xml'), 'utf8');
+  const locations = [...sitemap.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]).sort();
+  assert.deepStrictEqual(locations, ['https://wiki.example/docs/start.html', 'https://wiki.example/docs/wiki/syntax.html']);
+});
+
+test('without a base URL no sitemap is written', (t) => {
+  const dir = exportPages({ 'start.txt': 'Home' }, {});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.ok(!fs.existsSync(path.join(dir, 'out', 'sitemap.xml')));
+  assert.ok(fs.existsSync(path.join(dir, 'out', 'index.html')));
+});
+
+test('a relative base URL is rejected', () => {
+  assert.throws(() => DokuParserJS.exportSite(os.tmpdir(), os.tmpdir(), { baseUrl: '/docs' }), /absolute/);
+});
+
+test('a page called index is not overwritten by the page list', (t) => {
+  const dir = exportPages({ 'index.txt': '====== My Index ======', 'other.txt': 'Other' }, {});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.match(fs.readFileSync(path.join(dir, 'out', 'index.html'), 'utf8'), /<h1[^>]*>My Index<\/h1>/);
+  assert.match(fs.readFileSync(path.join(dir, 'out', 'sitemap.html'), 'utf8'), /<h1>Sitemap<\/h1>/);
+});
+
+test('exported pages use the escaped heading as <title>', (t) => {
+  const dir = exportPages({ 'evil.txt': '====== <html><img src=x onerror=alert(1)></html>x ======\n' }, {});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.match(fs.readFileSync(path.join(dir, 'out', 'evil.html'), 'utf8'), /<title>x - DokuWiki<\/title>/);
+});
+
+test('the page list escapes ids and URL-encodes file names', (t) => {
+  const dir = exportPages({ 'a"b/c d&e.txt': 'Text' }, {});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const list = fs.readFileSync(path.join(dir, 'out', 'index.html'), 'utf8');
+  assert.ok(list.includes('<a href="a%22b/c%20d%26e.html" class="wikilink1" title="a&quot;b:c d&amp;e">'));
+  assert.ok(fs.existsSync(path.join(dir, 'out', 'a"b', 'c d&e.html')));
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const payload = '====== x <html><img src=x onerror=alert(1)//</html> ======';
+const page = `${payload}\n===== b =====\n===== c =====\n===== d =====\n`;
+
+test('heading titles are escaped plain text', () => {
+  const parser = new DokuParserJS();
+  parser.parse(page);
+  assert.strictEqual(parser.headings[0].title, 'x');
+  parser.parse('====== **Tom & Jerry** "quoted" ======');
+  assert.strictEqual(parser.headings[0].title, 'Tom &amp; Jerry &quot;quoted&quot;');
+});
+
+test('the table of contents lists headings when there are more than three', () => {
+  const html = new DokuParserJS({ toc: true }).parse('====== a ======\n===== b =====\n===== c =====\n==== d ====\n');
+  assert.ok(html.includes('<div class="toc" id="dw__toc"><div class="tocheader">Table of Contents</div>'));
+  assert.ok(html.includes('<li class="level1"><div class="li"><a href="#a">a</a></div><ul class="toc"><li class="level2"><div class="li"><a href="#b">b</a></div>'));
+  assert.ok(!new DokuParserJS({ toc: true }).parse('====== a ======\n===== b =====\n===== c =====\n').includes('dw__toc'));
+  assert.ok(!new DokuParserJS({ toc: true }).parse('~~NOTOC~~\n====== a ======\n===== b =====\n===== c =====\n==== d ====\n').includes('dw__toc'));
+  assert.ok(new DokuParserJS({ toc: true }).parse('%%~~NOTOC~~%%\n====== a ======\n===== b =====\n===== c =====\n==== d ====\n').includes('dw__toc'));
+});
+
+test('the table of contents does not carry markup from headings', () => {
+  const html = new DokuParserJS({ toc: true }).parse(page);
+  const toc = html.match(/<div class="toc"[\s\S]*?<\/ul><\/div><\/div>/)[0];
+  assert.ok(!toc.includes('<img'));
+  assert.ok(/<a href="#[^"]*">x<\/a>/.test(toc));
+});
+
+test('repeated headings get unique ids', () => {
+  const parser = new DokuParserJS();
+  parser.parse('===== Intro =====\n===== Intro =====\n');
+  assert.deepStrictEqual(parser.headings.map(h => h.id), ['intro', 'intro1']);
+});
+
+test('section links and heading ids share sectionId()', () => {
+  const parser = new DokuParserJS();
+  const html = parser.parse('===== About  the Page! =====\n[[#About  the Page!]]\n');
+  assert.strictEqual(parser.sectionId('About  the Page!'), 'about_the_page');
+  assert.strictEqual(parser.headings[0].id, 'about_the_page');
+  assert.ok(html.includes('<a href="#about_the_page" class="wikilink1" title="#About  the Page!">About  the Page!</a>'));
+});
+
+test('safeMode strips the payload from the headline itself', () => {
+  const html = new DokuParserJS({ safeMode: true }).parse(payload);
+  assert.ok(!/onerror/i.test(html));
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const highlight = (lang, code) => new DokuParserJS().parse(`<code ${lang}>\n${code}\n</code>`);
+
+test('css properties, values and nested at-rule blocks', () => {
+  const html = highlight('css', '@media print {\n  a:hover { color: #fff; margin: 0 }\n}');
+  assert.match(html, /<span class="kw1">@media<\/span>/);
+  assert.match(html, /<span class="kw2">color<\/span>/);
+  assert.match(html, /<span class="nu0">#fff<\/span>/);
+  assert.ok(!html.includes('<span class="kw2">a</span>'), 'selector inside @media is not a property');
+});
+
+test('html attributes and values are highlighted inside tags only', () => {
+  const html = highlight('html', '<a href="x">title="y"</a>');
+  assert.match(html, /<span class="kw3">href<\/span>=<span class="st0">&quot;x&quot;<\/span>/);
+  assert.ok(html.includes('&gt;</span>title=&quot;y&quot;'));
+});
+
+test('long declarations and tags highlight in linear time', () => {
+  const start = Date.now();
+  highlight('css', `a { background: ${'x '.repeat(50000)}}`);
+  highlight('html', `<div ${'a '.repeat(50000)}>`);
+  assert.ok(Date.now() - start < 2000, `took ${Date.now() - start} ms`);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const pages = {
+  'wiki:intro': '====== Intro ======\nIntro text((note))\n===== Details =====\nDetail text\n===== More =====\nMore text\n',
+  'wiki:loop': 'Loop {{page>wiki:loop}}'
+};
+
+test('page includes shift headings below the including section and share footnotes', () => {
+  const parser = new DokuParserJS({ includePages: pages });
+  const html = parser.parse('===== Host =====\nText((host))\n\n{{page>wiki:intro}}\n');
+  assert.ok(html.includes('<div class="plugin_include_content plugin_include__wiki__intro" data-include="wiki:intro"><h3 class="sectionedit3" id="intro">Intro</h3>'));
+  assert.ok(html.includes('<h4 class="sectionedit4" id="details">Details</h4>'));
+  assert.ok(!html.includes('<p><div'));
+  assert.deepStrictEqual(parser.headings.map(h => h.id), ['host', 'intro', 'details', 'more']);
+  assert.ok(html.includes('id="fn__2"'));
+  assert.strictEqual(html.match(/<div class="footnotes">/g).length, 1);
+});
+
+test('section includes and flags select what is embedded', () => {
+  const html = new DokuParserJS({ includePages: pages }).parse('{{section>wiki:intro#Details&noheader}}\n\n{{page>wiki:intro&firstseconly}}');
+  assert.ok(html.includes('data-include="wiki:intro"><p>Detail text</p></div>'));
+  assert.ok(html.includes('<p>Intro text'));
+  assert.ok(html.includes('<p class="include_readmore"><a href="/wiki/intro.txt"'));
+  assert.ok(!html.includes('More text'));
+});
+
+test('missing pages, missing sections and recursion render an error', () => {
+  const parser = new DokuParserJS({ includePages: (id) => pages[id] ?? null, pageId: 'wiki:loop' });
+  const html = parser.parse('{{page>wiki:none}} {{section>wiki:intro#Nope}} {{page>wiki:loop}}');
+  assert.ok(html.includes('does not exist.'));
+  assert.ok(html.includes('Section Nope not found in'));
+  assert.ok(html.includes('Skipped recursive include of'));
+});
+
+test('loadIncludes follows nested includes through an async loader', async () => {
+  const nested = { 'wiki:a': '{{page>b}}', 'wiki:b': 'B' };
+  const loaded = await DokuParserJS.loadIncludes('{{page>wiki:a}} {{page>wiki:c}}', async (id) => nested[id] ?? null);
+  assert.deepStrictEqual([...loaded], [['wiki:a', '{{page>b}}'], ['wiki:b', 'B'], ['wiki:c', null]]);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const pages = [
+  { id: 'wiki:a', text: '====== Apples ======\nSee [[b]].' },
+  { id: 'wiki:b', text: '====== Bananas ======\nYellow fruit.' }
+];
+
+test('adding an indexed page again replaces its search entry', () => {
+  const index = DokuParserJS.SearchIndex.fromJSON(JSON.parse(JSON.stringify(DokuParserJS.SearchIndex.build(pages))));
+  index.add('wiki:b', '====== Cherries ======\nRed fruit.');
+  assert.deepStrictEqual(index.search('yellow'), []);
+  assert.deepStrictEqual(index.search('red').map(result => result.id), ['wiki:b']);
+  assert.strictEqual(index.docs.length, 2);
+  assert.strictEqual(index.docs[1].title, 'Cherries');
+});
+
+test('adding a page to the link graph replaces its references', () => {
+  const graph = DokuParserJS.LinkGraph.build(pages);
+  assert.deepStrictEqual(graph.backlinks('wiki:b'), ['wiki:a']);
+  graph.add('wiki:a', 'No links any more.');
+  assert.deepStrictEqual(graph.backlinks('wiki:b'), []);
+  graph.add('wiki:c', 'Back to [[a]].');
+  assert.deepStrictEqual(graph.backlinks('wiki:a'), ['wiki:c']);
+});
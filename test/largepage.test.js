@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const section = (n) => [
+  `===== Section ${n} =====`,
+  ...Array.from({ length: 30 }, (_, i) => `Line ${i} with [[page${n}_${i}|link ${i}]], https://example.com/${n}/${i}, %%raw [[${i}]]%% and {{img${i}.png?20|pic}} **bold**`),
+  '',
+  `| [[table${n}|cell]] | %%raw%% | [[x${n}|{{icon.png}}]] |`,
+  '',
+  `  * item [[list${n}]]`,
+  `  * <nowiki>[[not a link ${n}]]</nowiki>`,
+  ''
+].join('\n');
+const sections = Array.from({ length: 40 }, (_, n) => section(n));
+const unwrap = html => html.replace(/^<div class="page group">/, '').replace(/<\/div>$/, '');
+
+test('a page with thousands of links renders the same as its sections one by one', () => {
+  const whole = new DokuParserJS().parse(sections.join('\n'));
+  const parts = sections.map(text => unwrap(new DokuParserJS().parse(text))).join('');
+  assert.strictEqual(whole, `<div class="page group">${parts}</div>`);
+  assert.ok(!/\[(?:LINK|RSS|MEDIA|NOWIKI)_\d+\]/.test(whole));
+  assert.ok(whole.includes('<a href="/page39_29.txt" class="wikilink1" data-wiki-id="page39_29">link 29</a>'));
+  assert.ok(whole.includes('raw [[29]]'));
+});
+
+test('dollar signs in link text are kept literally', () => {
+  assert.ok(new DokuParserJS().parse('[[page|cost $$5 $&]]').includes('>cost $$5 $&amp;</a>'));
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const pages = [
+  { id: 'wiki:welcome', text: 'See [[syntax]], [[Syntax#Links]] and [[:start]].\n{{wiki:logo.png}} [[doku>interwiki]] [[https://example.com]] <me@example.com>' },
+  { id: 'wiki:syntax', text: 'Back to [[welcome]]. {{logo.png}}' },
+  { id: 'wiki:lonely', text: 'Nobody links here. [[\\\\server\\share|Share]]' }
+];
+
+test('collectReferences groups unique references by kind with their lines', () => {
+  const refs = new DokuParserJS({ currentNamespace: 'wiki' }).collectReferences(pages[0].text);
+  assert.deepStrictEqual(refs.internal.map(ref => [ref.id, ref.section, ref.line]), [['wiki:syntax', '', 1], ['wiki:syntax', 'Links', 1], ['start', '', 1]]);
+  assert.deepStrictEqual(refs.media.map(ref => ref.id), ['wiki:logo.png']);
+  assert.deepStrictEqual(refs.interwiki.map(ref => ref.wiki), ['doku']);
+  assert.deepStrictEqual(refs.external.map(ref => ref.url), ['https://example.com']);
+  assert.deepStrictEqual(refs.email.map(ref => [ref.address, ref.line]), [['me@example.com', 2]]);
+});
+
+test('the link graph answers backlinks, media usage, orphans and broken links', () => {
+  const graph = DokuParserJS.LinkGraph.fromJSON(JSON.parse(JSON.stringify(DokuParserJS.LinkGraph.build(pages))));
+  assert.deepStrictEqual(graph.backlinks('wiki:syntax'), ['wiki:welcome']);
+  assert.deepStrictEqual(graph.mediaUsage('wiki:logo.png'), ['wiki:syntax', 'wiki:welcome']);
+  assert.deepStrictEqual(graph.orphans(), ['wiki:lonely']);
+  assert.deepStrictEqual(graph.brokenLinks(), [{ from: 'wiki:welcome', to: 'start', line: 1 }]);
+  assert.deepStrictEqual(graph.outgoing('wiki:welcome').internal.map(ref => ref.exists), [true, true, false]);
+});
+
+test('windows share links render as file URLs', () => {
+  const html = new DokuParserJS().parse('[[\\\\server\\share|Share]]');
+  assert.ok(html.includes('<a href="file:///server/share" class="windows" title="\\\\server\\share">Share</a>'));
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('links to missing pages get wikilink2 and rel="nofollow"', () => {
+  const parser = new DokuParserJS({ pageExists: ['wiki:syntax'] });
+  const html = parser.parse('[[wiki:syntax|Syntax]] [[wiki:missing|Missing]]');
+  assert.ok(html.includes('<a href="/wiki/syntax.txt" class="wikilink1" data-wiki-id="wiki:syntax">Syntax</a>'));
+  assert.ok(html.includes('<a href="/wiki/missing.txt" class="wikilink2" data-wiki-id="wiki:missing" rel="nofollow">Missing</a>'));
+});
+
+test('pageExists accepts a Set or a function and defaults to every page existing', () => {
+  assert.ok(new DokuParserJS({ pageExists: new Set(['a']) }).linkTargetExists('a'));
+  assert.ok(!new DokuParserJS({ pageExists: id => id === 'a' }).linkTargetExists('b'));
+  assert.ok(new DokuParserJS().linkTargetExists('anything'));
+});
+
+test('link nodes carry the existence flag', () => {
+  const parser = new DokuParserJS({ currentNamespace: 'wiki', pageExists: () => false });
+  const [paragraph] = parser.parseToAST('[[.:gone]] [[#local]]').children;
+  const links = paragraph.children.filter(node => node.type === 'link');
+  assert.deepStrictEqual(links.map(link => [link.id, link.exists]), [['wiki:gone', false], [null, true]]);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('parse only lints when asked to', () => {
+  const text = 'Before\n<code>\nnever closed';
+  const parser = new DokuParserJS();
+  parser.parse(text);
+  assert.deepStrictEqual(parser.diagnostics, []);
+  const linting = new DokuParserJS({ lint: true });
+  linting.parse(text);
+  assert.deepStrictEqual(linting.diagnostics.map(d => d.code), ['unclosed-block']);
+});
+
+test('every unclosed block is reported', () => {
+  const text = 'Intro <nowiki>open\n\n<code>\nfirst\n</code>\n\n<file>\nopen too\n\n<html>\nand this';
+  const unclosed = new DokuParserJS().lint(text).filter(d => d.code === 'unclosed-block');
+  assert.deepStrictEqual(unclosed.map(d => [d.line, d.column, d.severity]), [[1, 7, 'error'], [7, 1, 'error'], [10, 1, 'error']]);
+  assert.match(unclosed[1].message, /<file>/);
+});
+
+test('closed blocks and unmatched %% still lint as before', () => {
+  const diagnostics = new DokuParserJS().lint('<code>\n  * not a list\n</code>\n\n50%% off\n\n</nowiki>');
+  assert.deepStrictEqual(diagnostics.map(d => [d.line, d.severity, d.code]), [[5, 'warning', 'unclosed-block'], [7, 'warning', 'stray-close']]);
+});
+
+test('block plugins without an end marker are not linted as unclosed', (t) => {
+  DokuParserJS.registerPlugin({ name: 'divider', type: 'block', pattern: /^<divider>$/, render: () => '<hr class="divider" />' });
+  t.after(() => DokuParserJS.unregisterPlugin('divider'));
+  assert.deepStrictEqual(new DokuParserJS().lint('Above\n<divider>\nBelow'), []);
+});
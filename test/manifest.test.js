@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('the manifest lists pages, media and namespaces relative to its own location', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dokuparserjs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'data', 'pages', 'wiki', 'sub'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'data', 'media', 'wiki'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'data', 'pages', 'start.txt'), 'No heading here');
+  fs.writeFileSync(path.join(dir, 'data', 'pages', 'wiki', 'sub', 'page.txt'), 'Intro\n===== Sub Page =====\n');
+  fs.writeFileSync(path.join(dir, 'data', 'media', 'wiki', 'logo.png'), 'png');
+  const manifest = DokuParserJS.buildManifest(path.join(dir, 'data'), dir);
+  assert.strictEqual(manifest.version, 1);
+  assert.deepStrictEqual(manifest.namespaces, ['wiki', 'wiki:sub']);
+  assert.deepStrictEqual(manifest.pages.map(page => [page.id, page.namespace, page.path, page.title]), [
+    ['start', '', 'data/pages/start.txt', 'start'],
+    ['wiki:sub:page', 'wiki:sub', 'data/pages/wiki/sub/page.txt', 'Sub Page']
+  ]);
+  assert.deepStrictEqual(manifest.media.map(item => [item.id, item.path, item.size]), [['wiki:logo.png', 'data/media/wiki/logo.png', 3]]);
+});
+
+test('a missing media directory yields an empty media list', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dokuparserjs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'pages'));
+  fs.writeFileSync(path.join(dir, 'pages', 'start.txt'), 'Home');
+  assert.deepStrictEqual(DokuParserJS.buildManifest(dir, dir).media, []);
+});
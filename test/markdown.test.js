@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('toMarkdown converts DokuWiki markup to GFM and reports what it drops', () => {
+  const { markdown, report } = new DokuParserJS().toMarkdown('====== Title ======\nSome **bold** and //it// with [[wiki:syntax|a link]] and https://x.org\n\n  * one\n    - sub\n\n^ h1 ^ h2 ^\n| a | b |\n\n<code js file.js>\nlet x;\n</code>\n\nText((note))');
+  assert.strictEqual(markdown, '# Title\n\nSome **bold** and *it* with [a link](wiki/syntax.md) and <https://x.org>\n\n- one\n  1. sub\n\n| h1 | h2 |\n| --- | --- |\n| a | b |\n\n```js\nlet x;\n```\n\nText[^1]\n\n[^1]: note\n');
+  assert.deepStrictEqual(report, [{ line: 10, construct: 'code-filename', message: 'Download name file.js of the code block is dropped' }]);
+});
+
+test('code blocks opened inside a paragraph get a fence line of their own', () => {
+  const { markdown } = new DokuParserJS().toMarkdown('Para <code>\ninline\n</code>');
+  assert.ok(markdown.includes('\n```\ninline\n```'));
+});
+
+test('fromMarkdown converts GFM to DokuWiki markup', () => {
+  const { doku, report } = new DokuParserJS().fromMarkdown('# Title\n\nSome **bold** and *it* and `code` [a link](wiki:syntax) ![img](pic.png)\n\n- one\n  1. sub\n\n> quote\n\n```js\nlet x;\n```\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n<div>raw</div>\n');
+  assert.strictEqual(doku, "====== Title ======\n\nSome **bold** and //it// and ''%%code%%'' [[wiki:syntax|a link]] {{:pic.png|img}}\n\n  * one\n    - sub\n\n> quote\n\n<code js>\nlet x;\n</code>\n\n^ a ^ b ^\n| 1 | 2 |\n\n<html>\n<div>raw</div>\n</html>\n");
+  assert.deepStrictEqual(report.map(entry => entry.construct), ['html']);
+});
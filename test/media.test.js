@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const mediaFiles = [{ id: 'wiki:clip.mp4' }, { id: 'wiki:clip.webm' }, { id: 'wiki:clip.jpg' }, { id: 'wiki:song.mp3', size: 2048 }, { id: 'wiki:doc.pdf', size: 123456 }];
+const body = (text, options = {}) => new DokuParserJS({ mediaFiles, ...options }).parse(text).replace(/^<div class="page group"><p>/, '').replace(/<\/p><\/div>$/, '');
+
+test('video embeds list every known source and use a same-named image as poster', () => {
+  assert.strictEqual(body('{{wiki:clip.mp4?400x300|My clip}}'),
+    '<video class="media" width="400" height="300" poster="/data/media/wiki/clip.jpg" controls="controls"><source src="/data/media/wiki/clip.webm" type="video/webm" /><source src="/data/media/wiki/clip.mp4" type="video/mp4" />' +
+    '<a href="/data/media/wiki/clip.webm" class="media mediafile mf_webm" title="wiki:clip.webm">My clip</a> <a href="/data/media/wiki/clip.mp4" class="media mediafile mf_mp4" title="wiki:clip.mp4">My clip</a></video>');
+});
+
+test('audio embeds and other files link with their size', () => {
+  assert.strictEqual(body('{{wiki:song.mp3}}'),
+    '<audio class="media" controls="controls"><source src="/data/media/wiki/song.mp3" type="audio/mpeg" /><a href="/data/media/wiki/song.mp3" class="media mediafile mf_mp3" title="wiki:song.mp3 (2\u00a0KB)">song.mp3</a></audio>');
+  assert.strictEqual(body('{{wiki:doc.pdf|Manual}}'), '<a href="/data/media/wiki/doc.pdf" class="media mediafile mf_pdf" title="wiki:doc.pdf (120.6\u00a0KB)">Manual</a>');
+});
+
+test('nocache and recache are passed on to the media URL', () => {
+  assert.ok(body('{{wiki:pic.png?nocache}}').includes('<img src="/data/media/wiki/pic.png?cache=nocache"'));
+  assert.ok(body('{{wiki:pic.png?recache&200}}').includes('<img src="/data/media/wiki/pic.png?cache=recache" class="media" alt="" loading="lazy" width="200" />'));
+});
+
+test('the vshare plugin embeds players that safe mode keeps only when allowed', (t) => {
+  require('../plugins/vshare.js');
+  t.after(() => DokuParserJS.unregisterPlugin('vshare'));
+  assert.strictEqual(body('{{ youtube>abc?small|Demo}}', { safeMode: true, allowedFrames: ['https://www.youtube-nocookie.com/embed/'] }),
+    '<iframe src="https://www.youtube-nocookie.com/embed/abc" width="255" height="143" class="vshare mediaright" title="Demo" loading="lazy" allow="fullscreen" allowfullscreen=""></iframe>');
+  assert.ok(!body('{{youtube>abc}}', { safeMode: true }).includes('<iframe'));
+});
+
+test('media types and sizes are exported for the media manager', () => {
+  assert.ok(DokuParserJS.MEDIA_TYPES.image.includes('png'));
+  assert.strictEqual(DokuParserJS.MEDIA_TYPES.video.webm, 'video/webm');
+  assert.strictEqual(DokuParserJS.MEDIA_TYPES.audio.mp3, 'audio/mpeg');
+  assert.deepStrictEqual([0, 1023, 2048, 123456, 5 * 1024 ** 3].map(DokuParserJS.formatSize), ['0 B', '1023 B', '2 KB', '120.6 KB', '5 GB']);
+});
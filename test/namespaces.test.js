@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+test('namespace links resolve to the first existing start page', () => {
+  assert.strictEqual(new DokuParserJS({ pageExists: ['wiki:wiki'] }).resolveNamespace('wiki:'), 'wiki:wiki');
+  assert.strictEqual(new DokuParserJS({ pageExists: ['wiki'] }).resolveNamespace('wiki:'), 'wiki');
+  assert.strictEqual(new DokuParserJS({ pageExists: ['wiki:start', 'wiki:wiki'] }).resolveNamespace('wiki:'), 'wiki:start');
+  assert.strictEqual(new DokuParserJS({ pageExists: [] }).resolveNamespace('wiki:'), 'wiki:start');
+  assert.strictEqual(new DokuParserJS().startPage(''), 'start');
+});
+
+test('namespaceIndex splits sub-namespaces from direct pages', () => {
+  const pages = [{ id: 'wiki:b' }, { id: 'wiki:a', title: 'A' }, { id: 'wiki:sub:x' }, { id: 'other:y' }];
+  assert.deepStrictEqual(new DokuParserJS().namespaceIndex('wiki', pages), {
+    namespaces: ['wiki:sub'],
+    pages: [{ id: 'wiki:a', title: 'A' }, { id: 'wiki:b' }]
+  });
+});
+
+test('namespaceIndexHtml links sub-namespaces and pages', () => {
+  const html = new DokuParserJS().namespaceIndexHtml('wiki', [{ id: 'wiki:a', title: 'A & B' }, { id: 'wiki:sub:x' }]);
+  assert.ok(html.startsWith('<div class="page group nsindex"><h1>wiki</h1>'));
+  assert.ok(html.includes('<h2>Namespaces</h2><ul class="idx"><li class="level1"><div class="li"><a href="/wiki/sub/start.txt"'));
+  assert.ok(html.includes('>A &amp; B</a> <span class="id">'));
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const body = (text) => new DokuParserJS().parse(text).replace(/^<div class="page group">/, '').replace(/<\/div>$/, '');
+
+test('section titles no longer switch off autolinks or block syntax', () => {
+  assert.strictEqual(body('===== Links =====\nSee https://example.com/ and www.example.org now.'),
+    '<h2 class="sectionedit2" id="links">Links</h2><p>See <a href="https://example.com/" class="urlextern" rel="nofollow">https://example.com/</a> and <a href="http://www.example.org" class="urlextern" rel="nofollow">www.example.org</a> now.</p>');
+  assert.strictEqual(body('===== RSS/ATOM Feed Aggregation =====\nFeed at https://example.com/feed'),
+    '<h2 class="sectionedit2" id="rss_atom_feed_aggregation">RSS/ATOM Feed Aggregation</h2><p>Feed at <a href="https://example.com/feed" class="urlextern" rel="nofollow">https://example.com/feed</a></p>');
+  ['Quoting', 'Other'].forEach(title => {
+    assert.strictEqual(body(`===== ${title} =====\n<code>\n> not a quote\n**raw**\n</code>`),
+      `<h2 class="sectionedit2" id="${title.toLowerCase()}">${title}</h2><pre class="code">&gt; not a quote\n**raw**</pre>`);
+  });
+});
+
+test('indented lines are preformatted whatever markup they start with', () => {
+  ['Tables', 'Other'].forEach(title => {
+    assert.strictEqual(body(`===== ${title} =====\n  | a | b |\n  ^ c ^ d ^`),
+      `<h2 class="sectionedit2" id="${title.toLowerCase()}">${title}</h2><pre class="code">| a | b |\n^ c ^ d ^</pre>`);
+  });
+  assert.strictEqual(body('  <code>not a block</code>\n  ====== not a heading ======'),
+    '<pre class="code">&lt;code&gt;not a block&lt;/code&gt;\n====== not a heading ======</pre>');
+  assert.strictEqual(body('Text\n\n    deep\n  shallow **x**'), '<p>Text</p><pre class="code">  deep\nshallow **x**</pre>');
+  assert.strictEqual(body('Para\n    not a list\nafter'), '<p>Para</p><pre class="code">  not a list</pre><p>after</p>');
+});
+
+test('noformat spans and code blocks opened mid-line keep their following lines', () => {
+  assert.strictEqual(body('  * item <nowiki>**a\n  * b**</nowiki> end\n  * next'),
+    '<ul><li class="level1"><div class="li">item **a\n  * b** end</div></li><li class="level1"><div class="li">next</div></li></ul>');
+  assert.strictEqual(body('  * item <code>\nline one\n  line two\n</code>\n  * next'),
+    '<ul><li class="level1"><div class="li">item <pre class="code">line one\n  line two</pre></div></li><li class="level1"><div class="li">next</div></li></ul>');
+  assert.strictEqual(new DokuParserJS({ highlight: false }).parse('Before <code js>\nlet x = 1;\n</code> after'),
+    '<div class="page group"><p>Before </p><pre class="code js">let x = 1;</pre><p> after</p></div>');
+});
+
+test('table cells do not split inside noformat, media or code', () => {
+  assert.strictEqual(body('| %%a|b%% | <nowiki>c^d</nowiki> | <code>e|f</code> |'),
+    '<div class="table"><table class="inline"><thead><tr class="row0"><td class="col0">a|b</td><td class="col1">c^d</td><td class="col2"><pre class="code">e|f</pre></td></tr></thead><tbody></tbody></table></div>');
+  assert.ok(body('| {{img.png|x|y}} | z |').includes('<td class="col0"><a href="/data/media/img.png" class="media" title="x|y">'));
+  assert.strictEqual(body('| %%one\ntwo | still%% | end |'),
+    '<div class="table"><table class="inline"><thead><tr class="row0"><td class="col0">one\ntwo | still</td><td class="col1">end</td></tr></thead><tbody></tbody></table></div>');
+});
+
+test('lists close before following text', () => {
+  assert.strictEqual(body('Para line\n  * item\nText after\n'), '<p>Para line</p><ul><li class="level1"><div class="li">item</div></li></ul><p>Text after</p>');
+  assert.strictEqual(body('  * a\n    * b\nText'), '<ul><li class="level1"><div class="li">a</div><ul><li class="level2"><div class="li">b</div></li></ul></li></ul><p>Text</p>');
+});
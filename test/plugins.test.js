@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+require('../plugins/wrap.js');
+require('../plugins/note.js');
+require('../plugins/tag.js');
+
+test('registerPlugin rejects incomplete plugins', () => {
+  assert.throws(() => DokuParserJS.registerPlugin({ name: 'broken', pattern: /x/ }), /need a name, a pattern and a render function/);
+});
+
+test('block plugins render their content as wiki text', () => {
+  const html = new DokuParserJS().parse('<WRAP box #intro>\n**bold** [[wiki:page|link]]\n</WRAP>\n\n<note tip>\nA tip\n</note>');
+  assert.ok(html.includes('<div id="intro" class="plugin_wrap wrap_box"><p><strong>bold</strong> <a href="/wiki/page.txt" class="wikilink1" data-wiki-id="wiki:page">link</a></p></div>'));
+  assert.ok(html.includes('<div class="plugin_note notetip"><p>A tip</p></div>'));
+});
+
+test('inline plugins respect nowiki and render their text inline', () => {
+  const html = new DokuParserJS().parse('A <wrap hi>**marked**</wrap> and %%<wrap hi>raw</wrap>%%');
+  assert.ok(html.includes('<p>A <span class="plugin_wrap wrap_hi"><strong>marked</strong></span> and &lt;wrap hi&gt;raw&lt;/wrap&gt;</p>'));
+});
+
+test('block-level plugin output closes the paragraph', () => {
+  const html = new DokuParserJS().parse('Text {{tag>one "two words"}}');
+  assert.ok(html.includes('<p>Text </p><div class="tags"><span><a href="/tag/one.txt"'));
+  assert.ok(html.includes('>two words</a></span></div>'));
+});
+
+test('footnotes inside plugin content join the page footnotes', () => {
+  const html = new DokuParserJS().parse('Before((one))\n\n<WRAP>\nInside((two))\n</WRAP>\n');
+  assert.ok(html.includes('id="fn__2"'));
+  assert.strictEqual(html.match(/<div class="footnotes">/g).length, 1);
+});
+
+test('plugin priority decides which construct wins', (t) => {
+  DokuParserJS.registerPlugin({ name: 'late', pattern: /\[\[late\]\]/, priority: DokuParserJS.PRIORITY.SMILEYS, render: () => 'LATE' });
+  DokuParserJS.registerPlugin({ name: 'early', pattern: /\*\*early\*\*/, priority: DokuParserJS.PRIORITY.CONTROL, render: () => 'EARLY' });
+  t.after(() => ['late', 'early'].forEach(name => DokuParserJS.unregisterPlugin(name)));
+  const html = new DokuParserJS().parse('[[late]] **early**');
+  assert.ok(html.includes('data-wiki-id="late">late</a> EARLY'));
+});
+
+test('~~INFO:syntaxplugins~~ lists the registered plugins', () => {
+  const html = new DokuParserJS().parse('~~INFO:syntaxplugins~~');
+  assert.ok(html.includes('<ul class="plugininfo"><li class="level1"><div class="li"><a href="https://www.dokuwiki.org/plugin:wrap" class="urlextern" rel="nofollow">wrap</a> <em>(block)</em>'));
+  assert.ok(!html.includes('<p><ul'));
+});
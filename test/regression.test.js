@@ -0,0 +1,44 @@
+/**
+ * Regression suite: renders the bundled sample pages with the reader's options and compares the HTML with the
+ * checked-in fixtures. After an intended rendering change, refresh them with `UPDATE_FIXTURES=1 npm test` and review
+ * the fixture diff.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const DokuParserJS = require('../dokuparserjs.js');
+const manifest = require('../pages.json');
+
+const root = path.join(__dirname, '..');
+const pages = ['wiki:syntax', 'wiki:welcome', 'playground:playground'];
+
+function renderPage(id) {
+  const page = manifest.pages.find(entry => entry.id === id);
+  const parser = new DokuParserJS({
+    currentNamespace: page.namespace,
+    mediaBasePath: '/data/media/',
+    pagesBasePath: '/data/pages/',
+    useTxtExtension: true,
+    useEmoji: true,
+    toc: true,
+    safeMode: true,
+    pageId: page.id,
+    pageExists: manifest.pages.map(entry => entry.id),
+    mediaFiles: manifest.media
+  });
+  return parser.parse(fs.readFileSync(path.join(root, page.path), 'utf8'));
+}
+// One block element per line keeps fixture diffs readable
+function format(html) {
+  return `${html.replace(/(?<!^|\n)(?=<(?:p|h[1-6]|div|ul|ol|li|table|tr|pre|dl|blockquote|hr)[ >/])/g, '\n')}\n`;
+}
+
+pages.forEach(id => {
+  test(`renders ${id} like the fixture`, () => {
+    const fixture = path.join(__dirname, 'fixtures', `${id.split(':').pop()}.html`);
+    const html = format(renderPage(id));
+    if (process.env.UPDATE_FIXTURES) fs.writeFileSync(fixture, html);
+    assert.strictEqual(html, fs.readFileSync(fixture, 'utf8'));
+  });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const feed = {
+  title: 'News',
+  items: [
+    { title: 'Old', link: 'https://example.com/old', author: 'Ann', date: '2024-01-01T10:00:00Z', description: '<p>First &amp; oldest</p>' },
+    { title: 'New <b>', link: 'javascript:alert(1)', date: '2024-03-01T10:00:00Z' }
+  ]
+};
+
+test('rssParams reads DokuWiki flags', () => {
+  assert.deepStrictEqual(new DokuParserJS().rssParams('https://example.com/feed 5 reverse author date description 2h'), {
+    url: 'https://example.com/feed', max: 5, reverse: true, author: true, date: true, details: true, nosort: false, refresh: 7200
+  });
+});
+
+test('feeds render sorted by date with the requested details', () => {
+  const html = new DokuParserJS({ feedProvider: () => feed }).parse('{{rss>https://example.com/feed 1 author}}\n\n{{rss>https://example.com/feed reverse date description}}');
+  assert.ok(html.includes('<ul class="rss"><li class="level1"><div class="li">New &lt;b&gt;</div></li></ul>'));
+  assert.ok(html.includes('<a href="https://example.com/old" class="urlextern" rel="nofollow">Old</a> (2024-01-01 10:00)<div class="detail">First &amp; oldest</div>'));
+  assert.ok(!html.includes('<p><ul'));
+});
+
+test('a missing feed renders the error line', () => {
+  const html = new DokuParserJS().parse('{{rss>https://example.com/feed}}');
+  assert.ok(html.includes('<em>An error occurred while fetching this feed: </em><a href="https://example.com/feed" class="urlextern" rel="nofollow">https://example.com/feed</a>'));
+});
+
+test('parseFeed reads RSS and Atom', () => {
+  const rss = DokuParserJS.parseFeed('<rss><channel><title>R</title><item><title><![CDATA[A & B]]></title><link>https://a</link><dc:creator>Joe</dc:creator></item></channel></rss>');
+  assert.deepStrictEqual(rss, { title: 'R', items: [{ title: 'A & B', link: 'https://a', author: 'Joe', date: '', description: '' }] });
+  const atom = DokuParserJS.parseFeed('<feed><title>F</title><entry><title>E</title><link rel="self" href="https://self"/><link href="https://alt"/><author><name>Kim</name></author><updated>2024-01-01</updated></entry></feed>');
+  assert.deepStrictEqual(atom.items[0], { title: 'E', link: 'https://alt', author: 'Kim', date: '2024-01-01', description: '' });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const attacks = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '<img src="x" alt="a"onerror="alert(1)">',
+  '<img src=x onerror=alert(1)//',
+  '<IMG SRC="javascript:alert(1)">',
+  '<a href="javascript:alert(1)">x</a>',
+  "<a href='JaVaScRiPt:alert(1)'>x</a>",
+  '<a href="jav&#x09;ascript:alert(1)">x</a>',
+  '<a href="&#106;avascript:alert(1)">x</a>',
+  '<a href=" javascript:alert(1)">x</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+  '<p title="a" onmouseover="alert(1)">x</p>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<svg onload=alert(1)><circle /></svg>',
+  '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+  '<iframe src="https://evil.example/"></iframe>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<object data="evil.swf"></object><embed src="evil.swf">',
+  '<!--<script>alert(1)</script>-->',
+  '<![CDATA[<script>alert(1)</script>]]>',
+  '<video poster="javascript:alert(1)"><source src="javascript:alert(1)"></video>',
+  '<form action="https://evil.example/"><input name="q" autofocus onfocus="alert(1)"></form>',
+  '<a href="https://example.com/" target="_blank" onclick="alert(1)">x</a>'
+];
+
+// Every tag left in the output must be allowed and free of handlers and script URLs
+function assertSafe(html) {
+  const tags = html.match(/<\/?[a-zA-Z][^>]*>/g) || [];
+  tags.forEach(tag => {
+    assert.doesNotMatch(tag, /^<\/?(?:script|style|svg|math|object|embed|form|input|iframe)\b/i, tag);
+    assert.doesNotMatch(tag, /\son[a-z]+\s*=/i, tag);
+    assert.doesNotMatch(tag, /\s(?:style|target|action)\s*=/i, tag);
+    assert.doesNotMatch(tag, /\s(?:href|src|poster|xlink:href)\s*=\s*["']?\s*(?:javascript|data):/i, tag);
+  });
+}
+
+test('sanitizeHtml neutralises script injection', () => {
+  const parser = new DokuParserJS();
+  attacks.forEach(attack => assertSafe(parser.sanitizeHtml(attack)));
+});
+
+test('safeMode sanitizes embedded <html> blocks and inline <html>', () => {
+  const parser = new DokuParserJS({ safeMode: true });
+  attacks.forEach(attack => {
+    assertSafe(parser.parse(`<html>\n${attack}\n</html>`));
+    assertSafe(parser.parse(`Text <html>${attack}</html> more`));
+  });
+});
+
+test('safeMode sanitizes headings and the table of contents', () => {
+  const parser = new DokuParserJS({ safeMode: true, toc: true });
+  attacks.forEach(attack => {
+    const html = parser.parse(`====== A <html>${attack}</html> ======\n===== B =====\n===== C =====\n===== D =====\n`);
+    assertSafe(html);
+    parser.headings.forEach(heading => assert.doesNotMatch(heading.title, /</));
+  });
+});
+
+test('links and media refuse disallowed schemes', () => {
+  const parser = new DokuParserJS({ safeMode: true });
+  assertSafe(parser.parse('[[javascript:alert(1)|x]] [[data:text/html,x|y]] {{javascript:alert(1)}}'));
+});
+
+test('sanitizeHtml keeps allowed markup and escapes stray brackets', () => {
+  const parser = new DokuParserJS();
+  assert.strictEqual(parser.sanitizeHtml('<p class="x">a <strong>b</strong></p>'), '<p class="x">a <strong>b</strong></p>');
+  assert.strictEqual(parser.sanitizeHtml('<a href="https://example.com/" title="t">x</a>'), '<a href="https://example.com/" title="t">x</a>');
+  assert.strictEqual(parser.sanitizeHtml('1 < 2'), '1 &lt; 2');
+});
+
+
+test('sanitizeHtml keeps frames from allowedFrames only', () => {
+  const parser = new DokuParserJS({ allowedFrames: ['https://www.youtube-nocookie.com/embed/'] });
+  assert.match(parser.sanitizeHtml('<iframe src="https://www.youtube-nocookie.com/embed/abc"></iframe>'), /^<iframe src="https:\/\/www\.youtube-nocookie\.com\/embed\/abc"><\/iframe>$/);
+  assert.strictEqual(parser.sanitizeHtml('<iframe src="https://www.youtube-nocookie.com.evil.example/"></iframe>'), '');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const pages = [
+  { id: 'wiki:syntax', text: '====== Formatting Syntax ======\nDokuWiki supports **bold** text and tables.\n' },
+  { id: 'wiki:welcome', text: '====== Welcome ======\nStart here to learn the syntax of tables.\n' },
+  { id: 'team:notes', text: '====== Notes ======\nMeeting notes about table layouts.\n' }
+];
+const ids = results => results.map(result => result.id).sort();
+
+test('indexes rendered text and headings, not markup', () => {
+  const index = DokuParserJS.SearchIndex.build(pages);
+  assert.strictEqual(index.docs[0].title, 'Formatting Syntax');
+  assert.ok(!index.docs[0].text.includes('**'));
+  assert.ok(!Object.prototype.hasOwnProperty.call(index.terms, 'a'));
+  assert.strictEqual(index.search('syntax')[0].id, 'wiki:syntax');
+});
+
+test('supports phrases, exclusions, wildcards and namespaces', () => {
+  const index = DokuParserJS.SearchIndex.build(pages);
+  assert.deepStrictEqual(ids(index.search('tables')), ['wiki:syntax', 'wiki:welcome']);
+  assert.deepStrictEqual(ids(index.search('"bold text"')), ['wiki:syntax']);
+  assert.deepStrictEqual(ids(index.search('tables -bold')), ['wiki:welcome']);
+  assert.deepStrictEqual(ids(index.search('tabl*')), ['team:notes', 'wiki:syntax', 'wiki:welcome']);
+  assert.deepStrictEqual(ids(index.search('tabl* @team')), ['team:notes']);
+  assert.deepStrictEqual(ids(index.search('tabl* ^team')), ['wiki:syntax', 'wiki:welcome']);
+  assert.deepStrictEqual(index.search('-tables'), []);
+});
+
+test('round-trips through JSON and escapes snippets', () => {
+  const index = DokuParserJS.SearchIndex.build([{ id: 'x', text: 'Use <b> & tables' }]);
+  const loaded = DokuParserJS.SearchIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+  const [result] = loaded.search('tables');
+  assert.strictEqual(result.snippet, 'Use &lt;b&gt; &amp; <strong class="search_hit">tables</strong>');
+  assert.throws(() => DokuParserJS.SearchIndex.fromJSON({ version: 0 }), /Unsupported search index version/);
+});
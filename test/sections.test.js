@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const page = '====== Title ======\nIntro\n===== One =====\nFirst\n<code>\n===== not a heading =====\n</code>\n===== Two =====\nSecond\n';
+
+test('sections lists headlines with their line ranges', () => {
+  const sections = new DokuParserJS().sections(page);
+  assert.deepStrictEqual(sections.map(section => [section.title, section.level, section.start, section.end]), [
+    ['Title', 1, 0, 10],
+    ['One', 2, 2, 7],
+    ['Two', 2, 7, 10]
+  ]);
+  assert.strictEqual(sections[1].text, '===== One =====\nFirst\n<code>\n===== not a heading =====\n</code>');
+});
+
+test('replaceSection splices an edited section back in', () => {
+  const parser = new DokuParserJS();
+  assert.strictEqual(parser.replaceSection(page, 1, '===== One =====\nChanged\n\n\n'), '====== Title ======\nIntro\n===== One =====\nChanged\n\n===== Two =====\nSecond\n');
+  assert.strictEqual(parser.replaceSection(page, 2, '===== Two =====\nLast'), '====== Title ======\nIntro\n===== One =====\nFirst\n<code>\n===== not a heading =====\n</code>\n===== Two =====\nLast');
+  assert.strictEqual(parser.replaceSection(page, 5, 'x'), page);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DokuParserJS = require('../dokuparserjs.js');
+
+const files = new Map([
+  ['smileys.conf', ':-) icon_smile.gif\n:-( icon_sad.gif'],
+  ['smileys.local.conf', ':-) custom/grin.png\n:party: party.gif']
+]);
+
+test('built-in smileys render as emoji by default and as images without useEmoji', () => {
+  assert.match(new DokuParserJS().parse('Hi :-)'), /Hi 😊/);
+  assert.match(new DokuParserJS({ useEmoji: false }).parse('Hi :-)'), /<img src="[^"]*smile\.svg" class="icon smiley" alt=":-\)">/);
+});
+
+test('smileys from the conf files win over emoji', () => {
+  const html = new DokuParserJS({ ...DokuParserJS.configOptions(files), useEmoji: true }).parse('A :-) B :-( C :party: D 8-)');
+  assert.match(html, /<img src="[^"]*custom\/grin\.png" class="icon smiley" alt=":-\)">/);
+  assert.match(html, /<img src="[^"]*icon_sad\.gif" class="icon smiley" alt=":-\(">/);
+  assert.match(html, /<img src="[^"]*party\.gif" class="icon smiley" alt=":party:">/);
+  assert.doesNotMatch(html, /😊|😞|😎/);
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+
+test('the service worker precaches exactly the scripts index.html loads', () => {
+  const shellFiles = JSON.parse(read('sw.js').match(/const SHELL_FILES = (\[[\s\S]*?\]);/)[1].replace(/'/g, '"'));
+  const scripts = [...read('index.html').matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+  assert.deepStrictEqual(shellFiles.filter(file => /\.js$|^https:/.test(file)).sort(), scripts.sort());
+  shellFiles.filter(file => !/^https:|^\.\/$/.test(file)).forEach(file => assert.ok(fs.existsSync(path.join(root, file)), file));
+});